@@ -0,0 +1,11 @@
+/**
+ * Role Configuration
+ */
+
+// Roles anyone can pick when registering
+export const SELF_SERVICE_ROLES = ['sme', 'customer'];
+
+// Roles that can only be granted through an invitation or an approved request
+export const ELEVATED_ROLES = ['lender', 'reviewer', 'admin'];
+
+export const ALL_ROLES = [...SELF_SERVICE_ROLES, ...ELEVATED_ROLES];
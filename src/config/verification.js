@@ -0,0 +1,28 @@
+/**
+ * Verification Validity Configuration
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a verification stays valid, per asset type. Override with VERIFICATION_VALIDITY_DAYS_<TYPE>.
+const DEFAULT_VALIDITY_DAYS = {
+  deposit: 90,
+  purchase_order: 60,
+  invoice: 30
+};
+
+// Re-verification starts this many days before a verification lapses
+export const REVERIFICATION_LEAD_DAYS = parseInt(process.env.REVERIFICATION_LEAD_DAYS || '7');
+
+export function validityDays(type) {
+  const configured = parseInt(process.env[`VERIFICATION_VALIDITY_DAYS_${type.toUpperCase()}`]);
+  return configured > 0 ? configured : DEFAULT_VALIDITY_DAYS[type] || DEFAULT_VALIDITY_DAYS.deposit;
+}
+
+export function verificationExpiresAt(type, verifiedAt = new Date()) {
+  return new Date(new Date(verifiedAt).getTime() + validityDays(type) * DAY_MS).toISOString();
+}
+
+export function reverificationDueBy(now = new Date()) {
+  return new Date(now.getTime() + REVERIFICATION_LEAD_DAYS * DAY_MS).toISOString();
+}
@@ -1,16 +1,65 @@
 /**
  * Authentication Middleware
+ * Accepts a Supabase session JWT or an API key (Authorization: Bearer gfk_... or X-API-Key).
+ * API keys only work on routes whose policy names a scope the key holds (see policy.js).
  */
 
-import { supabase } from '../config/supabase.js';
+import { supabase, supabaseAdmin } from '../config/supabase.js';
+import { sessionService } from '../services/sessions.js';
+import { apiKeyService, isApiKey } from '../services/apiKeys.js';
 import { createLogger } from '../utils/logger.js';
 
 const logger = createLogger('AuthMiddleware');
 
+async function authenticateApiKey(key, req, res, next) {
+  const apiKey = await apiKeyService.verify(key, { ip: req.ip });
+
+  if (!apiKey) {
+    logger.warn('Invalid API key attempt');
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid API key',
+      message: 'The API key is unknown, expired or revoked'
+    });
+  }
+
+  const scope = req.requiredScope;
+
+  if (!scope || !apiKey.scopes.includes(scope)) {
+    logger.warn(`API key ${apiKey.id} used outside its scopes on ${req.method} ${req.originalUrl}`);
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient scope',
+      message: scope
+        ? `This endpoint requires the ${scope} scope`
+        : 'This endpoint cannot be used with an API key'
+    });
+  }
+
+  const { data: { user }, error } = await supabaseAdmin.auth.admin.getUserById(apiKey.user_id);
+
+  if (error || !user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid API key',
+      message: 'The user that issued this key no longer exists'
+    });
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+  next();
+}
+
 export const authenticate = async (req, res, next) => {
   try {
+    const headerKey = req.headers['x-api-key'];
     const token = req.headers.authorization?.replace('Bearer ', '');
 
+    if (headerKey || isApiKey(token)) {
+      return await authenticateApiKey(headerKey || token, req, res, next);
+    }
+
     if (!token) {
       return res.status(401).json({
         success: false,
@@ -30,15 +79,27 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
+    const sessionId = sessionService.getSessionId(token);
+
+    if (await sessionService.isRevoked(sessionId)) {
+      logger.warn(`Revoked session used by user ${user.id}`);
+      return res.status(401).json({
+        success: false,
+        error: 'Session revoked',
+        message: 'Please log in again'
+      });
+    }
+
     req.user = user;
     req.token = token;
+    req.sessionId = sessionId;
     next();
 
   } catch (error) {
     logger.error('Authentication error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: 'Authentication failed'
+      error: error.status ? error.message : 'Authentication failed'
     });
   }
 };
@@ -0,0 +1,21 @@
+/**
+ * KYB Gate Middleware
+ */
+
+/**
+ * Require an approved business verification. Must run after authorize(), which loads req.profile.
+ */
+export const requireApprovedKyb = (req, res, next) => {
+  const status = req.profile?.kyb_status || 'not_started';
+
+  if (status !== 'approved') {
+    return res.status(403).json({
+      success: false,
+      error: 'Business verification required',
+      message: 'Complete business verification (KYB) before using this feature',
+      kyb_status: status
+    });
+  }
+
+  next();
+};
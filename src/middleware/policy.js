@@ -0,0 +1,262 @@
+/**
+ * Authorization Policy Middleware
+ * Declares, per route, which roles and which resource relationships may access it.
+ *
+ * A policy may set:
+ *   roles     - the caller's profile role must be one of these
+ *   resource  - resource type to load from req.params[param] (default param: 'id')
+ *   relations - the caller must hold at least one of these relationships to the resource
+ *   scope     - API key scope that admits key-authenticated callers; without one, routes
+ *               under this policy accept only user sessions
+ *
+ * The loaded resource is exposed as req.resource and the caller's profile as req.profile.
+ */
+
+import { authenticate } from './auth.js';
+import { supabaseAdmin } from '../config/supabase.js';
+import { organizationService } from '../services/organizations.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('Policy');
+
+// Statuses in which a loan is still open for any lender to review
+const OPEN_LOAN_STATUSES = ['requested'];
+
+// Caller is a member (at least minRole) of any of the given organizations
+const inOrg = (req, orgIds, minRole) =>
+  Promise.all(orgIds.filter(Boolean).map(orgId => organizationService.isMember(req, orgId, minRole)))
+    .then(results => results.some(Boolean));
+
+const RESOURCES = {
+  organization: {
+    table: 'organizations',
+    select: '*',
+    label: 'Organization',
+    relations: {
+      org_member: (org, { req }) => inOrg(req, [org.id], 'viewer'),
+      org_owner: (org, { req }) => inOrg(req, [org.id], 'owner')
+    }
+  },
+  asset: {
+    table: 'assets',
+    select: '*',
+    label: 'Asset',
+    relations: {
+      owner: (asset, { user }) => asset.user_id === user.id,
+      // Lender assigned to, or able to review, a loan backed by this asset
+      reviewing_lender: async (asset, { user, profile }) => {
+        if (profile.role !== 'lender') return false;
+
+        const { data: loans } = await supabaseAdmin
+          .from('loans')
+          .select('status, lender_id')
+          .eq('asset_id', asset.id);
+
+        return (loans || []).some(loan =>
+          loan.lender_id === user.id || OPEN_LOAN_STATUSES.includes(loan.status)
+        );
+      },
+      org_member: (asset, { req }) => inOrg(req, [asset.org_id], 'viewer'),
+      org_approver: (asset, { req }) => inOrg(req, [asset.org_id], 'approver'),
+      // Reviewers may not review their own assets
+      independent_reviewer: (asset, { user, profile }) =>
+        ['reviewer', 'admin'].includes(profile.role) && asset.user_id !== user.id
+    }
+  },
+  loan: {
+    table: 'loans',
+    select: '*',
+    label: 'Loan',
+    relations: {
+      owner: (loan, { user }) => loan.sme_id === user.id,
+      assigned_lender: (loan, { user }) => loan.lender_id === user.id,
+      // Borrowing or lending organization
+      org_member: (loan, { req }) => inOrg(req, [loan.org_id, loan.lender_org_id], 'viewer'),
+      // Borrowing organization only: lenders decide through the lender routes
+      org_approver: (loan, { req }) => inOrg(req, [loan.org_id], 'approver')
+    }
+  },
+  escrow: {
+    table: 'escrows',
+    select: '*',
+    label: 'Escrow',
+    relations: {
+      owner: (escrow, { user }) => escrow.sme_id === user.id,
+      counterparty: (escrow, { user }) => escrow.customer_id === user.id,
+      org_member: (escrow, { req }) => inOrg(req, [escrow.org_id], 'viewer'),
+      org_approver: (escrow, { req }) => inOrg(req, [escrow.org_id], 'approver')
+    }
+  },
+  milestone: {
+    table: 'escrow_milestones',
+    select: '*, escrows(sme_id, customer_id, org_id, released_amount)',
+    label: 'Milestone',
+    relations: {
+      owner: (milestone, { user }) => milestone.escrows?.sme_id === user.id,
+      counterparty: (milestone, { user }) => milestone.escrows?.customer_id === user.id,
+      org_approver: (milestone, { req }) => inOrg(req, [milestone.escrows?.org_id], 'approver')
+    }
+  }
+};
+
+// Relationships that apply to every resource type
+const COMMON_RELATIONS = {
+  admin: (resource, { profile }) => profile.role === 'admin'
+};
+
+export const POLICIES = {
+  // Assets
+  'assets:create': { roles: ['sme'] },
+  'assets:read': { resource: 'asset', relations: ['owner', 'org_member', 'independent_reviewer', 'admin'] },
+  'assets:manage': { resource: 'asset', relations: ['owner', 'org_approver'] },
+  'assets:review_queue': { roles: ['reviewer', 'admin'] },
+  'assets:review': { resource: 'asset', relations: ['independent_reviewer'] },
+
+  // Loans
+  'loans:request': { roles: ['sme'] },
+  'loans:manage': { resource: 'loan', param: 'loanId', relations: ['owner', 'org_approver'] },
+  'loans:read': { resource: 'loan', param: 'loanId', relations: ['owner', 'assigned_lender', 'org_member', 'admin'], scope: 'read:loans' },
+
+  // Lender dashboard and decisions
+  'lender:access': { roles: ['lender', 'admin'], scope: 'read:loans' },
+  'lender:decide': { roles: ['lender', 'admin'], scope: 'write:approvals' },
+  'lender:duplicate_review': { resource: 'asset', param: 'assetId', relations: ['reviewing_lender', 'admin'], scope: 'write:approvals' },
+
+  // Verification
+  'verification:run': { resource: 'asset', param: 'assetId', relations: ['owner', 'org_approver', 'admin'] },
+  'verification:logs': { resource: 'asset', param: 'assetId', relations: ['owner', 'org_member', 'reviewing_lender', 'independent_reviewer', 'admin'] },
+
+  // Escrow
+  'escrow:create': { roles: ['sme'] },
+  'escrow:manage': { resource: 'escrow', relations: ['owner', 'org_approver'] },
+  'escrow:list': { scope: 'read:escrow' },
+  'escrow:read': { resource: 'escrow', relations: ['owner', 'org_member', 'counterparty', 'admin'], scope: 'read:escrow' },
+  'escrow:deposit': { resource: 'escrow', relations: ['counterparty'] },
+  'milestone:submit': { resource: 'milestone', relations: ['owner', 'org_approver'] },
+  'milestone:review': { resource: 'milestone', relations: ['counterparty'] },
+
+  // Organizations
+  'orgs:read': { resource: 'organization', relations: ['org_member', 'admin'] },
+  'orgs:manage': { resource: 'organization', relations: ['org_owner'] },
+
+  // Business verification
+  'kyb:apply': { roles: ['sme'] },
+  'kyb:review': { roles: ['admin'] },
+
+  // Integrations
+  'apikeys:manage': { roles: ['sme', 'customer', 'lender', 'admin'] },
+
+  // Platform administration
+  'admin:access': { roles: ['admin'] },
+  'roles:manage': { roles: ['admin'] },
+  'security:manage': { roles: ['admin'] }
+};
+
+function deny(res, status, error, message) {
+  return res.status(status).json({ success: false, error, message });
+}
+
+/**
+ * Load the caller's profile once per request. Must run after authenticate.
+ */
+export const loadProfile = async (req, res, next) => {
+  if (req.profile) return next();
+
+  try {
+    if (!supabaseAdmin) {
+      return res.status(503).json({ success: false, error: 'Service not configured' });
+    }
+
+    const { data: profile, error } = await supabaseAdmin
+      .from('profiles')
+      .select('*')
+      .eq('id', req.user.id)
+      .single();
+
+    if (error || !profile) {
+      return deny(res, 403, 'Access denied', 'User profile not found');
+    }
+
+    if (profile.status === 'suspended') {
+      return deny(res, 403, 'Account suspended', 'This account has been suspended. Contact support.');
+    }
+
+    req.profile = profile;
+    next();
+
+  } catch (error) {
+    logger.error('Profile load error:', error);
+    res.status(500).json({ success: false, error: 'Authorization failed' });
+  }
+};
+
+async function holdsRelation(name, definition, resource, context) {
+  const check = definition.relations[name] || COMMON_RELATIONS[name];
+
+  if (!check) {
+    throw new Error(`Unknown relation "${name}" for ${definition.label}`);
+  }
+
+  return check(resource, context);
+}
+
+function enforce(policyName, policy) {
+  return async (req, res, next) => {
+    try {
+      const { profile, user } = req;
+
+      if (policy.roles && !policy.roles.includes(profile.role)) {
+        return deny(res, 403, 'Access denied', `Requires role: ${policy.roles.join(' or ')}`);
+      }
+
+      if (!policy.resource) return next();
+
+      const definition = RESOURCES[policy.resource];
+      const id = req.params[policy.param || 'id'];
+
+      const { data: resource, error } = await supabaseAdmin
+        .from(definition.table)
+        .select(definition.select)
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) throw new Error(error.message);
+
+      if (!resource) {
+        return deny(res, 404, `${definition.label} not found`);
+      }
+
+      for (const relation of policy.relations || []) {
+        if (await holdsRelation(relation, definition, resource, { user, profile, req })) {
+          req.resource = resource;
+          return next();
+        }
+      }
+
+      logger.warn(`Policy ${policyName} denied user ${user.id} on ${policy.resource} ${id}`);
+      return deny(res, 403, 'Access denied', `You do not have access to this ${policy.resource}`);
+
+    } catch (error) {
+      logger.error(`Policy ${policyName} error:`, error);
+      res.status(500).json({ success: false, error: 'Authorization failed' });
+    }
+  };
+}
+
+/**
+ * Authenticate the caller and enforce a named policy from POLICIES
+ */
+export function authorize(policyName) {
+  const policy = POLICIES[policyName];
+
+  if (!policy) {
+    throw new Error(`Unknown policy: ${policyName}`);
+  }
+
+  const declareScope = (req, res, next) => {
+    req.requiredScope = policy.scope;
+    next();
+  };
+
+  return [declareScope, authenticate, loadProfile, enforce(policyName, policy)];
+}
@@ -0,0 +1,39 @@
+/**
+ * File Upload Middleware
+ */
+
+import multer from 'multer';
+
+/**
+ * Accept a single multipart file in memory (req.file), with size and MIME type limits.
+ * Upload errors are returned as 400 responses in the API's usual shape.
+ */
+export const uploadSingle = (field, { maxBytes, allowedTypes }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!allowedTypes.includes(file.mimetype)) {
+        return cb(new Error(`Unsupported file type. Allowed: ${allowedTypes.join(', ')}`));
+      }
+      cb(null, true);
+    }
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error) {
+        const message = error.code === 'LIMIT_FILE_SIZE'
+          ? `File exceeds the ${Math.round(maxBytes / 1024 / 1024)}MB limit`
+          : error.message;
+
+        return res.status(400).json({
+          success: false,
+          error: 'Upload failed',
+          message
+        });
+      }
+      next();
+    });
+  };
+};
@@ -2,8 +2,45 @@
  * Request Validation Middleware
  */
 
-export const validateAssetCreation = (req, res, next) => {
-  const { type, value, description } = req.body;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const present = value => value !== undefined && value !== null && value !== '';
+
+const isDate = value => DATE_PATTERN.test(value) && !Number.isNaN(new Date(value).getTime());
+
+// Receivables carry a maturity: these types need issue and due dates
+export const DATED_ASSET_TYPES = ['invoice', 'purchase_order'];
+
+/**
+ * Invoice reference fields. Dates are checked for format here; which types require
+ * them is decided at creation.
+ */
+function invoiceFieldErrors({ invoice_number, issue_date, due_date }) {
+  const errors = [];
+
+  if (present(invoice_number) && (typeof invoice_number !== 'string' || invoice_number.trim().length > 64)) {
+    errors.push('Invoice number must be at most 64 characters');
+  }
+
+  if (present(issue_date) && !isDate(issue_date)) {
+    errors.push('Issue date must be a date (YYYY-MM-DD)');
+  }
+
+  if (present(due_date) && !isDate(due_date)) {
+    errors.push('Due date must be a date (YYYY-MM-DD)');
+  }
+
+  if (isDate(issue_date) && isDate(due_date) && due_date < issue_date) {
+    errors.push('Due date cannot be before the issue date');
+  }
+
+  return errors;
+}
+
+/**
+ * Rule violations for a new asset. Shared by validateAssetCreation and CSV import.
+ */
+export function assetCreationErrors({ type, value, description, ...invoiceFields }) {
   const errors = [];
 
   if (!type || !['deposit', 'purchase_order', 'invoice'].includes(type)) {
@@ -18,6 +55,165 @@ export const validateAssetCreation = (req, res, next) => {
     errors.push('Description must be at least 10 characters');
   }
 
+  errors.push(...invoiceFieldErrors(invoiceFields));
+
+  const { issue_date, due_date } = invoiceFields;
+
+  if (DATED_ASSET_TYPES.includes(type)) {
+    if (!present(issue_date)) errors.push(`Issue date is required for ${type} assets`);
+    if (!present(due_date)) errors.push(`Due date is required for ${type} assets`);
+  }
+
+  if (isDate(due_date) && due_date < new Date().toISOString().slice(0, 10)) {
+    errors.push('Due date has already passed');
+  }
+
+  return errors;
+}
+
+export const validateAssetCreation = (req, res, next) => {
+  const errors = assetCreationErrors(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+const ASSET_UPDATE_FIELDS = [
+  'asset_name', 'description', 'value', 'counterparty_email', 'document_url',
+  'invoice_number', 'issue_date', 'due_date'
+];
+
+export const validateAssetUpdate = (req, res, next) => {
+  const errors = [];
+  const unknown = Object.keys(req.body).filter(field => !ASSET_UPDATE_FIELDS.includes(field));
+
+  if (unknown.length > 0) {
+    errors.push(`Unknown or read-only fields: ${unknown.join(', ')}`);
+  }
+
+  if (!ASSET_UPDATE_FIELDS.some(field => field in req.body)) {
+    errors.push(`Provide at least one of: ${ASSET_UPDATE_FIELDS.join(', ')}`);
+  }
+
+  const { value, description, asset_name } = req.body;
+
+  if (value !== undefined && !(Number(value) > 0)) {
+    errors.push('Value must be a positive number');
+  }
+
+  if (description !== undefined && (typeof description !== 'string' || description.trim().length < 10)) {
+    errors.push('Description must be at least 10 characters');
+  }
+
+  if (asset_name !== undefined && asset_name !== null && typeof asset_name !== 'string') {
+    errors.push('Asset name must be a string');
+  }
+
+  errors.push(...invoiceFieldErrors(req.body));
+
+  // req.resource is the asset loaded by the route's policy
+  if (DATED_ASSET_TYPES.includes(req.resource?.type)) {
+    for (const field of ['issue_date', 'due_date']) {
+      if (field in req.body && !present(req.body[field])) errors.push(`${field} cannot be removed from a ${req.resource.type}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+const PHONE_PATTERN = /^\+?[0-9\s\-()]{7,20}$/;
+const REGISTRATION_NUMBER_PATTERN = /^[A-Za-z0-9\-\s/]{3,50}$/;
+const COUNTRY_CODE_PATTERN = /^[A-Z]{2}$/;
+
+const PROFILE_FIELDS = ['name', 'phone', 'company_name', 'business_address', 'registration_number'];
+
+export const validateProfileUpdate = (req, res, next) => {
+  const errors = [];
+  const unknown = Object.keys(req.body).filter(field => !PROFILE_FIELDS.includes(field));
+
+  if (unknown.length > 0) {
+    errors.push(`Unknown or read-only fields: ${unknown.join(', ')}`);
+  }
+
+  if (!PROFILE_FIELDS.some(field => field in req.body)) {
+    errors.push(`Provide at least one of: ${PROFILE_FIELDS.join(', ')}`);
+  }
+
+  const { name, phone, company_name, business_address, registration_number } = req.body;
+
+  if (name !== undefined && (typeof name !== 'string' || name.trim().length < 2 || name.length > 100)) {
+    errors.push('Name must be 2-100 characters');
+  }
+
+  if (phone !== undefined && phone !== null && (typeof phone !== 'string' || !PHONE_PATTERN.test(phone))) {
+    errors.push('Phone must be 7-20 digits, optionally starting with +');
+  }
+
+  if (company_name !== undefined && company_name !== null &&
+      (typeof company_name !== 'string' || company_name.trim().length < 2 || company_name.length > 200)) {
+    errors.push('Company name must be 2-200 characters');
+  }
+
+  if (registration_number !== undefined && registration_number !== null &&
+      (typeof registration_number !== 'string' || !REGISTRATION_NUMBER_PATTERN.test(registration_number))) {
+    errors.push('Registration number must be 3-50 letters, digits, spaces, "-" or "/"');
+  }
+
+  if (business_address !== undefined && business_address !== null) {
+    if (typeof business_address !== 'object' || Array.isArray(business_address)) {
+      errors.push('Business address must be an object with line1, city and country');
+    } else {
+      const { line1, city, country } = business_address;
+      if (!line1 || typeof line1 !== 'string') errors.push('Business address line1 is required');
+      if (!city || typeof city !== 'string') errors.push('Business address city is required');
+      if (!country || !COUNTRY_CODE_PATTERN.test(country)) {
+        errors.push('Business address country must be a 2-letter ISO code (e.g. NZ)');
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+export const validatePreferences = (req, res, next) => {
+  const { email_notifications, sms_notifications } = req.body;
+  const errors = [];
+
+  if (email_notifications === undefined && sms_notifications === undefined) {
+    errors.push('Provide email_notifications and/or sms_notifications');
+  }
+
+  if (email_notifications !== undefined && typeof email_notifications !== 'boolean') {
+    errors.push('email_notifications must be true or false');
+  }
+
+  if (sms_notifications !== undefined && typeof sms_notifications !== 'boolean') {
+    errors.push('sms_notifications must be true or false');
+  }
+
   if (errors.length > 0) {
     return res.status(400).json({
       success: false,
@@ -0,0 +1,791 @@
+/**
+ * Admin Back-Office Routes
+ * User management and platform oversight. Every state change requires a reason
+ * and is recorded in admin_actions.
+ */
+
+import express from 'express';
+import { authorize } from '../middleware/policy.js';
+import { requireStepUp } from '../middleware/stepUp.js';
+import { supabaseAdmin } from '../config/supabase.js';
+import { ALL_ROLES } from '../config/roles.js';
+import { roleService } from '../services/roles.js';
+import { sessionService } from '../services/sessions.js';
+import { adminActionService } from '../services/adminActions.js';
+import { collateralService } from '../services/collateral.js';
+import { jobQueueService, JOB_STATUSES } from '../services/jobQueue.js';
+import { verificationRulesService } from '../services/verificationRules.js';
+import { formatUser } from '../utils/userResponse.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const logger = createLogger('AdminAPI');
+
+const MAX_PAGE_SIZE = 100;
+
+const CLOSED_LOAN_STATUSES = ['rejected', 'cancelled', 'repaid'];
+const CLOSED_ESCROW_STATUSES = ['completed', 'cancelled'];
+
+// Every route below requires the admin role
+router.use(authorize('admin:access'));
+
+function pagination(query) {
+  return {
+    limit: Math.min(parseInt(query.limit) || 50, MAX_PAGE_SIZE),
+    offset: parseInt(query.offset) || 0
+  };
+}
+
+function requireReason(req, res) {
+  const reason = req.body.reason?.trim();
+  if (!reason) {
+    res.status(400).json({ success: false, error: 'A reason is required for this action' });
+    return null;
+  }
+  return reason;
+}
+
+function adminUser(profile) {
+  return {
+    ...formatUser({ id: profile.id, email: profile.email }, profile),
+    status: profile.status || 'active',
+    suspended_at: profile.suspended_at || null,
+    suspended_reason: profile.suspended_reason || null,
+    created_at: profile.created_at
+  };
+}
+
+// ==================== USERS ====================
+
+// GET /api/admin/users?q=&role=&status=&kyb_status=
+router.get('/users', async (req, res) => {
+  try {
+    const { q, role, status, kyb_status } = req.query;
+    const { limit, offset } = pagination(req.query);
+
+    let query = supabaseAdmin
+      .from('profiles')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (q) {
+      // Strip characters that would break out of the PostgREST or() expression
+      const term = q.replace(/[,()*%]/g, ' ').trim();
+      if (term) {
+        query = query.or(`name.ilike.%${term}%,email.ilike.%${term}%,company_name.ilike.%${term}%`);
+      }
+    }
+    if (role) query = query.eq('role', role);
+    if (status === 'suspended') query = query.eq('status', 'suspended');
+    if (status === 'active') query = query.or('status.is.null,status.eq.active');
+    if (kyb_status) query = query.eq('kyb_status', kyb_status);
+
+    const { data: profiles, error, count } = await query;
+
+    if (error) throw new Error(error.message);
+
+    res.json({
+      success: true,
+      users: (profiles || []).map(adminUser),
+      total: count || 0,
+      limit,
+      offset
+    });
+
+  } catch (error) {
+    logger.error('Failed to list users:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch users', message: error.message });
+  }
+});
+
+// GET /api/admin/users/:id
+router.get('/users/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: profile, error } = await supabaseAdmin
+      .from('profiles')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+
+    if (!profile) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const [sessions, { data: roleGrants }, { actions }] = await Promise.all([
+      sessionService.list(id),
+      supabaseAdmin
+        .from('role_grants')
+        .select('*')
+        .eq('user_id', id)
+        .order('created_at', { ascending: false }),
+      adminActionService.list({ targetType: 'user', targetId: id, limit: 20 })
+    ]);
+
+    res.json({
+      success: true,
+      user: adminUser(profile),
+      sessions,
+      role_grants: roleGrants || [],
+      admin_actions: actions
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch user:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch user', message: error.message });
+  }
+});
+
+// POST /api/admin/users/:id/suspend
+router.post('/users/:id/suspend', requireStepUp('suspend an account'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    if (id === req.user.id) {
+      return res.status(400).json({ success: false, error: 'You cannot suspend your own account' });
+    }
+
+    const { data: profile, error } = await supabaseAdmin
+      .from('profiles')
+      .update({
+        status: 'suspended',
+        suspended_at: new Date().toISOString(),
+        suspended_reason: reason
+      })
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+
+    if (!profile) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    // Existing tokens stop working at once; new logins are refused while suspended
+    const revokedSessions = await sessionService.revokeAll(id, { reason: 'account_suspended' });
+
+    await adminActionService.record({
+      adminId: req.user.id,
+      action: 'user_suspended',
+      targetType: 'user',
+      targetId: id,
+      reason,
+      details: { revoked_sessions: revokedSessions }
+    });
+
+    res.json({
+      success: true,
+      message: 'Account suspended',
+      user: adminUser(profile)
+    });
+
+  } catch (error) {
+    logger.error('Suspend failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to suspend account', message: error.message });
+  }
+});
+
+// POST /api/admin/users/:id/reactivate
+router.post('/users/:id/reactivate', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    const { data: profile, error } = await supabaseAdmin
+      .from('profiles')
+      .update({ status: 'active', suspended_at: null, suspended_reason: null })
+      .eq('id', id)
+      .eq('status', 'suspended')
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+
+    if (!profile) {
+      return res.status(404).json({ success: false, error: 'Suspended user not found' });
+    }
+
+    await adminActionService.record({
+      adminId: req.user.id,
+      action: 'user_reactivated',
+      targetType: 'user',
+      targetId: id,
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Account reactivated',
+      user: adminUser(profile)
+    });
+
+  } catch (error) {
+    logger.error('Reactivate failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to reactivate account', message: error.message });
+  }
+});
+
+// PATCH /api/admin/users/:id/role
+router.patch('/users/:id/role', requireStepUp('change user roles'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    if (!ALL_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `role must be one of: ${ALL_ROLES.join(', ')}` });
+    }
+
+    if (id === req.user.id) {
+      return res.status(400).json({ success: false, error: 'You cannot change your own role' });
+    }
+
+    const { data: profile, error } = await supabaseAdmin
+      .from('profiles')
+      .select('id, role')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+
+    if (!profile) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    if (profile.role === role) {
+      return res.status(409).json({ success: false, error: `User already has the ${role} role` });
+    }
+
+    await roleService.grantRole({
+      userId: id,
+      role,
+      grantedBy: req.user.id,
+      source: 'admin',
+      reason
+    });
+
+    await adminActionService.record({
+      adminId: req.user.id,
+      action: 'role_changed',
+      targetType: 'user',
+      targetId: id,
+      reason,
+      details: { previous_role: profile.role, role }
+    });
+
+    res.json({
+      success: true,
+      message: `Role changed from ${profile.role} to ${role}`
+    });
+
+  } catch (error) {
+    logger.error('Role change failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to change role', message: error.message });
+  }
+});
+
+// ==================== PLATFORM RECORDS ====================
+
+const RECORDS = {
+  assets: { table: 'assets', label: 'Asset', ownerColumn: 'user_id' },
+  loans: { table: 'loans', label: 'Loan', ownerColumn: 'sme_id' },
+  escrows: { table: 'escrows', label: 'Escrow', ownerColumn: 'sme_id' }
+};
+
+for (const [path, record] of Object.entries(RECORDS)) {
+  // GET /api/admin/{assets,loans,escrows}?status=&owner_id=&org_id=
+  router.get(`/${path}`, async (req, res) => {
+    try {
+      const { status, owner_id, org_id } = req.query;
+      const { limit, offset } = pagination(req.query);
+
+      let query = supabaseAdmin
+        .from(record.table)
+        .select('*', { count: 'exact' })
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (status) query = query.eq('status', status);
+      if (owner_id) query = query.eq(record.ownerColumn, owner_id);
+      if (org_id) query = query.eq('org_id', org_id);
+
+      const { data, error, count } = await query;
+
+      if (error) throw new Error(error.message);
+
+      res.json({ success: true, [path]: data || [], total: count || 0, limit, offset });
+
+    } catch (error) {
+      logger.error(`Failed to list ${path}:`, error);
+      res.status(500).json({ success: false, error: `Failed to fetch ${path}`, message: error.message });
+    }
+  });
+
+  // GET /api/admin/{assets,loans,escrows}/:id
+  router.get(`/${path}/:id`, async (req, res) => {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from(record.table)
+        .select('*')
+        .eq('id', req.params.id)
+        .maybeSingle();
+
+      if (error) throw new Error(error.message);
+
+      if (!data) {
+        return res.status(404).json({ success: false, error: `${record.label} not found` });
+      }
+
+      const { actions } = await adminActionService.list({
+        targetType: path.slice(0, -1),
+        targetId: req.params.id,
+        limit: 20
+      });
+
+      res.json({ success: true, [path.slice(0, -1)]: data, admin_actions: actions });
+
+    } catch (error) {
+      logger.error(`Failed to fetch ${record.label.toLowerCase()}:`, error);
+      res.status(500).json({ success: false, error: `Failed to fetch ${record.label.toLowerCase()}`, message: error.message });
+    }
+  });
+}
+
+// ==================== OVERRIDES ====================
+
+// POST /api/admin/loans/:id/force-cancel
+router.post('/loans/:id/force-cancel', requireStepUp('override a loan'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    const { data: loan, error: fetchError } = await supabaseAdmin
+      .from('loans')
+      .select('id, status')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (fetchError) throw new Error(fetchError.message);
+
+    if (!loan) {
+      return res.status(404).json({ success: false, error: 'Loan not found' });
+    }
+
+    if (CLOSED_LOAN_STATUSES.includes(loan.status)) {
+      return res.status(409).json({ success: false, error: `Loan is already ${loan.status}` });
+    }
+
+    const { data: updatedLoan, error } = await supabaseAdmin
+      .from('loans')
+      .update({ status: 'cancelled', cancelled_at: new Date().toISOString(), lender_notes: reason })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    await supabaseAdmin.from('loan_status_history').insert({
+      loan_id: id,
+      old_status: loan.status,
+      new_status: 'cancelled',
+      changed_by: req.user.id,
+      notes: `Admin override: ${reason}`
+    });
+
+    await collateralService.release(id, { reason: 'cancelled', actorId: req.user.id });
+
+    await adminActionService.record({
+      adminId: req.user.id,
+      action: 'loan_force_cancelled',
+      targetType: 'loan',
+      targetId: id,
+      reason,
+      details: { previous_status: loan.status }
+    });
+
+    res.json({ success: true, message: 'Loan cancelled', loan: updatedLoan });
+
+  } catch (error) {
+    logger.error('Loan force-cancel failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to cancel loan', message: error.message });
+  }
+});
+
+// POST /api/admin/loans/:id/reassign-lender
+router.post('/loans/:id/reassign-lender', requireStepUp('override a loan'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { lender_id } = req.body;
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    if (!lender_id) {
+      return res.status(400).json({ success: false, error: 'lender_id is required' });
+    }
+
+    const [{ data: loan, error: loanError }, { data: lender, error: lenderError }] = await Promise.all([
+      supabaseAdmin.from('loans').select('id, status, lender_id, lender_org_id').eq('id', id).maybeSingle(),
+      supabaseAdmin.from('profiles').select('id, role, status').eq('id', lender_id).maybeSingle()
+    ]);
+
+    if (loanError) throw new Error(loanError.message);
+    if (lenderError) throw new Error(lenderError.message);
+
+    if (!loan) {
+      return res.status(404).json({ success: false, error: 'Loan not found' });
+    }
+
+    if (!lender || lender.role !== 'lender' || lender.status === 'suspended') {
+      return res.status(400).json({ success: false, error: 'lender_id must be an active lender account' });
+    }
+
+    if (CLOSED_LOAN_STATUSES.includes(loan.status) || loan.status === 'requested') {
+      return res.status(409).json({
+        success: false,
+        error: 'Only loans that a lender has taken on can be reassigned',
+        currentStatus: loan.status
+      });
+    }
+
+    // Move the loan to the new lender's organization when they belong to exactly one
+    const { data: memberships, error: memberError } = await supabaseAdmin
+      .from('organization_members')
+      .select('org_id, organizations!inner(type)')
+      .eq('user_id', lender_id)
+      .eq('organizations.type', 'lender');
+
+    if (memberError) throw new Error(memberError.message);
+
+    const lenderOrgId = memberships?.length === 1 ? memberships[0].org_id : null;
+
+    const { data: updatedLoan, error } = await supabaseAdmin
+      .from('loans')
+      .update({ lender_id, lender_org_id: lenderOrgId })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    await supabaseAdmin.from('loan_status_history').insert({
+      loan_id: id,
+      old_status: loan.status,
+      new_status: loan.status,
+      changed_by: req.user.id,
+      notes: `Admin reassigned lender: ${reason}`
+    });
+
+    await adminActionService.record({
+      adminId: req.user.id,
+      action: 'loan_lender_reassigned',
+      targetType: 'loan',
+      targetId: id,
+      reason,
+      details: {
+        previous_lender_id: loan.lender_id,
+        previous_lender_org_id: loan.lender_org_id,
+        lender_id,
+        lender_org_id: lenderOrgId
+      }
+    });
+
+    res.json({ success: true, message: 'Lender reassigned', loan: updatedLoan });
+
+  } catch (error) {
+    logger.error('Lender reassignment failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to reassign lender', message: error.message });
+  }
+});
+
+// POST /api/admin/escrows/:id/force-cancel
+router.post('/escrows/:id/force-cancel', requireStepUp('override an escrow'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    const { data: escrow, error: fetchError } = await supabaseAdmin
+      .from('escrows')
+      .select('id, status, deposited_amount, released_amount')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (fetchError) throw new Error(fetchError.message);
+
+    if (!escrow) {
+      return res.status(404).json({ success: false, error: 'Escrow not found' });
+    }
+
+    if (CLOSED_ESCROW_STATUSES.includes(escrow.status)) {
+      return res.status(409).json({ success: false, error: `Escrow is already ${escrow.status}` });
+    }
+
+    const { data: updatedEscrow, error } = await supabaseAdmin
+      .from('escrows')
+      .update({ status: 'cancelled', cancelled_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    await supabaseAdmin.from('escrow_activities').insert({
+      escrow_id: id,
+      user_id: req.user.id,
+      action_type: 'escrow_cancelled',
+      description: `Escrow cancelled by an administrator: ${reason}`,
+      metadata: { previous_status: escrow.status }
+    });
+
+    await adminActionService.record({
+      adminId: req.user.id,
+      action: 'escrow_force_cancelled',
+      targetType: 'escrow',
+      targetId: id,
+      reason,
+      details: {
+        previous_status: escrow.status,
+        // Funds still held in escrow have to be settled outside this action
+        unreleased_amount: parseFloat(escrow.deposited_amount || 0) - parseFloat(escrow.released_amount || 0)
+      }
+    });
+
+    res.json({ success: true, message: 'Escrow cancelled', escrow: updatedEscrow });
+
+  } catch (error) {
+    logger.error('Escrow force-cancel failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to cancel escrow', message: error.message });
+  }
+});
+
+// ==================== JOBS ====================
+
+// GET /api/admin/jobs?status=&type=
+router.get('/jobs', async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const { limit, offset } = pagination(req.query);
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${JOB_STATUSES.join(', ')}`
+      });
+    }
+
+    const { jobs, total } = await jobQueueService.list({ status, type, limit, offset });
+
+    res.json({ success: true, jobs, total, limit, offset });
+
+  } catch (error) {
+    logger.error('Failed to list jobs:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch jobs', message: error.message });
+  }
+});
+
+// GET /api/admin/jobs/:id
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobQueueService.get(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    res.json({ success: true, job });
+
+  } catch (error) {
+    logger.error('Failed to fetch job:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch job', message: error.message });
+  }
+});
+
+// POST /api/admin/jobs/:id/retry - requeue a dead-lettered job with fresh attempts
+router.post('/jobs/:id/retry', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const job = await jobQueueService.get(id);
+
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    const requeued = await jobQueueService.retry(id);
+
+    if (!requeued) {
+      return res.status(409).json({ success: false, error: `Only dead jobs can be retried; job is ${job.status}` });
+    }
+
+    await adminActionService.record({
+      adminId: req.user.id,
+      action: 'job_retried',
+      targetType: 'job',
+      targetId: id,
+      reason: req.body.reason?.trim() || null,
+      details: { type: job.type, attempts: job.attempts, last_error: job.last_error }
+    });
+
+    res.json({ success: true, message: 'Job requeued', job: requeued });
+
+  } catch (error) {
+    logger.error('Job retry failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to retry job', message: error.message });
+  }
+});
+
+// ==================== VERIFICATION RULES ====================
+
+// GET /api/admin/verification-rules - active rule set, current draft and all versions
+router.get('/verification-rules', async (req, res) => {
+  try {
+    const [active, draft, versions] = await Promise.all([
+      verificationRulesService.active(),
+      verificationRulesService.draft(),
+      verificationRulesService.list()
+    ]);
+
+    res.json({ success: true, active, draft, versions });
+
+  } catch (error) {
+    logger.error('Failed to fetch verification rules:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch verification rules', message: error.message });
+  }
+});
+
+// GET /api/admin/verification-rules/:version
+router.get('/verification-rules/:version', async (req, res) => {
+  try {
+    const version = Number(req.params.version);
+
+    if (!Number.isInteger(version) || version < 0) {
+      return res.status(400).json({ success: false, error: 'version must be a non-negative integer' });
+    }
+
+    const ruleSet = await verificationRulesService.get(version);
+
+    if (!ruleSet) {
+      return res.status(404).json({ success: false, error: 'Rule set version not found' });
+    }
+
+    res.json({ success: true, rule_set: ruleSet });
+
+  } catch (error) {
+    logger.error('Failed to fetch rule set:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch rule set', message: error.message });
+  }
+});
+
+// PUT /api/admin/verification-rules/draft - create or replace the draft { rules, notes }
+router.put('/verification-rules/draft', async (req, res) => {
+  try {
+    const draft = await verificationRulesService.saveDraft({
+      rules: req.body.rules,
+      notes: req.body.notes?.trim() || undefined,
+      actorId: req.user.id
+    });
+
+    await adminActionService.record({
+      adminId: req.user.id,
+      action: 'verification_rules_draft_saved',
+      targetType: 'verification_rule_set',
+      targetId: draft.id,
+      reason: req.body.reason?.trim() || null,
+      details: { version: draft.version }
+    });
+
+    res.json({ success: true, message: `Draft v${draft.version} saved`, draft });
+
+  } catch (error) {
+    logger.error('Failed to save rule set draft:', error);
+    res.status(error.status || 500).json({ success: false, error: 'Failed to save draft', message: error.message });
+  }
+});
+
+// DELETE /api/admin/verification-rules/draft
+router.delete('/verification-rules/draft', async (req, res) => {
+  try {
+    const draft = await verificationRulesService.discardDraft();
+
+    if (!draft) {
+      return res.status(404).json({ success: false, error: 'There is no draft to discard' });
+    }
+
+    await adminActionService.record({
+      adminId: req.user.id,
+      action: 'verification_rules_draft_discarded',
+      targetType: 'verification_rule_set',
+      targetId: draft.id,
+      reason: req.body.reason?.trim() || null,
+      details: { version: draft.version }
+    });
+
+    res.json({ success: true, message: `Draft v${draft.version} discarded` });
+
+  } catch (error) {
+    logger.error('Failed to discard rule set draft:', error);
+    res.status(500).json({ success: false, error: 'Failed to discard draft', message: error.message });
+  }
+});
+
+// POST /api/admin/verification-rules/draft/publish - the draft becomes the active rule set
+router.post('/verification-rules/draft/publish', requireStepUp('publish verification rules'), async (req, res) => {
+  try {
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    const previous = await verificationRulesService.active();
+    const ruleSet = await verificationRulesService.publish({ actorId: req.user.id });
+
+    await adminActionService.record({
+      adminId: req.user.id,
+      action: 'verification_rules_published',
+      targetType: 'verification_rule_set',
+      targetId: ruleSet.id,
+      reason,
+      details: { version: ruleSet.version, previous_version: previous.version }
+    });
+
+    res.json({ success: true, message: `Rule set v${ruleSet.version} published`, rule_set: ruleSet });
+
+  } catch (error) {
+    logger.error('Rule set publish failed:', error);
+    res.status(error.status || 500).json({ success: false, error: 'Failed to publish rule set', message: error.message });
+  }
+});
+
+// ==================== AUDIT ====================
+
+// GET /api/admin/actions?admin_id=&action=&target_type=&target_id=
+router.get('/actions', async (req, res) => {
+  try {
+    const { admin_id, action, target_type, target_id } = req.query;
+    const { limit, offset } = pagination(req.query);
+
+    const { actions, total } = await adminActionService.list({
+      adminId: admin_id,
+      action,
+      targetType: target_type,
+      targetId: target_id,
+      limit,
+      offset
+    });
+
+    res.json({ success: true, actions, total, limit, offset });
+
+  } catch (error) {
+    logger.error('Failed to list admin actions:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch admin actions', message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,198 @@
+/**
+ * API Key Routes
+ * Issue, list and revoke scoped API keys for server-to-server integrations
+ */
+
+import express from 'express';
+import { authorize } from '../middleware/policy.js';
+import { requireStepUp } from '../middleware/stepUp.js';
+import {
+  apiKeyService,
+  API_KEY_SCOPES,
+  API_KEY_DEFAULT_TTL_DAYS,
+  API_KEY_MAX_TTL_DAYS
+} from '../services/apiKeys.js';
+import { organizationService } from '../services/organizations.js';
+import { securityEventService } from '../services/securityEvents.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const logger = createLogger('ApiKeysAPI');
+
+// Scopes that let a key change data; issuing one needs a fresh 2FA code
+const WRITE_SCOPES = ['write:approvals'];
+
+function validateKeyRequest(body, profile) {
+  const errors = [];
+  const { name, scopes, expires_in_days } = body;
+
+  if (!name || typeof name !== 'string' || name.trim().length < 3) {
+    errors.push('name must be at least 3 characters');
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    errors.push(`scopes must be a non-empty array of: ${Object.keys(API_KEY_SCOPES).join(', ')}`);
+  } else {
+    for (const scope of scopes) {
+      if (!API_KEY_SCOPES[scope]) {
+        errors.push(`Unknown scope: ${scope}`);
+      } else if (!API_KEY_SCOPES[scope].roles.includes(profile.role)) {
+        errors.push(`Your role cannot issue keys with the ${scope} scope`);
+      }
+    }
+  }
+
+  if (expires_in_days !== undefined) {
+    const days = Number(expires_in_days);
+    if (!Number.isInteger(days) || days < 1 || days > API_KEY_MAX_TTL_DAYS) {
+      errors.push(`expires_in_days must be a whole number between 1 and ${API_KEY_MAX_TTL_DAYS}`);
+    }
+  }
+
+  return errors;
+}
+
+// GET /api/api-keys/scopes
+router.get('/scopes', authorize('apikeys:manage'), (req, res) => {
+  res.json({
+    success: true,
+    scopes: Object.entries(API_KEY_SCOPES)
+      .filter(([, scope]) => scope.roles.includes(req.profile.role))
+      .map(([name, scope]) => ({ name, description: scope.description })),
+    default_ttl_days: API_KEY_DEFAULT_TTL_DAYS,
+    max_ttl_days: API_KEY_MAX_TTL_DAYS
+  });
+});
+
+// POST /api/api-keys - Issue a key for yourself or, with org_id, for an organization you own
+router.post(
+  '/',
+  authorize('apikeys:manage'),
+  requireStepUp('issue an API key with write access', req =>
+    Array.isArray(req.body.scopes) && req.body.scopes.some(scope => WRITE_SCOPES.includes(scope))
+  ),
+  async (req, res) => {
+    try {
+      const { name, scopes, org_id, expires_in_days } = req.body;
+
+      const errors = validateKeyRequest(req.body, req.profile);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+      }
+
+      if (org_id && !await organizationService.isMember(req, org_id, 'owner')) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied',
+          message: 'Only organization owners can issue organization keys'
+        });
+      }
+
+      const { apiKey, key } = await apiKeyService.create({
+        userId: req.user.id,
+        orgId: org_id || null,
+        name: name.trim(),
+        scopes: [...new Set(scopes)],
+        expiresInDays: expires_in_days ? Number(expires_in_days) : API_KEY_DEFAULT_TTL_DAYS
+      });
+
+      await securityEventService.record('api_key_created', {
+        email: req.user.email,
+        ip: req.ip,
+        userId: req.user.id,
+        details: { api_key_id: apiKey.id, org_id: apiKey.org_id, scopes: apiKey.scopes }
+      });
+
+      logger.info(`User ${req.user.id} issued API key ${apiKey.id} (${apiKey.scopes.join(', ')})`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Store this key now; it will not be shown again',
+        key,
+        api_key: apiKey
+      });
+
+    } catch (error) {
+      logger.error('API key creation failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create API key',
+        message: error.message
+      });
+    }
+  }
+);
+
+// GET /api/api-keys - Your keys and keys of organizations you own
+router.get('/', authorize('apikeys:manage'), async (req, res) => {
+  try {
+    const ownedOrgIds = await organizationService.orgIds(req, 'owner');
+    const apiKeys = await apiKeyService.list(req.user.id, ownedOrgIds);
+    const now = Date.now();
+
+    res.json({
+      success: true,
+      api_keys: apiKeys.map(apiKey => ({
+        ...apiKey,
+        status: apiKey.revoked_at
+          ? 'revoked'
+          : new Date(apiKey.expires_at).getTime() <= now ? 'expired' : 'active'
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Failed to list API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API keys',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/api-keys/:id - Revoke a key (issuer or owner of the key's organization)
+router.delete('/:id', authorize('apikeys:manage'), async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.get(req.params.id);
+
+    const canRevoke = apiKey && (
+      apiKey.user_id === req.user.id ||
+      await organizationService.isMember(req, apiKey.org_id, 'owner')
+    );
+
+    if (!canRevoke) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+
+    if (apiKey.revoked_at) {
+      return res.status(409).json({ success: false, error: 'API key already revoked' });
+    }
+
+    const revoked = await apiKeyService.revoke(apiKey.id, req.user.id);
+
+    await securityEventService.record('api_key_revoked', {
+      email: req.user.email,
+      ip: req.ip,
+      userId: req.user.id,
+      details: { api_key_id: apiKey.id, org_id: apiKey.org_id }
+    });
+
+    logger.info(`User ${req.user.id} revoked API key ${apiKey.id}`);
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      api_key: revoked
+    });
+
+  } catch (error) {
+    logger.error('API key revocation failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,143 @@
+/**
+ * Asset Review Routes
+ * Reviewer queue for manually verifying assets. Decisions require notes and are
+ * recorded in verification_logs.
+ */
+
+import express from 'express';
+import { authorize } from '../middleware/policy.js';
+import { supabaseAdmin } from '../config/supabase.js';
+import { mailerService } from '../services/mailer.js';
+import { assetDocumentService } from '../services/assetDocuments.js';
+import { assetReviewService } from '../services/assetReview.js';
+import { ASSET_TYPES } from '../services/assetSearch.js';
+import { agingFor, withAging } from '../utils/aging.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const logger = createLogger('AssetReviewAPI');
+
+const MAX_PAGE_SIZE = 100;
+
+const OWNER_MESSAGES = {
+  approve: 'has been verified',
+  reject: 'was rejected in review',
+  request_info: 'needs more information before it can be verified'
+};
+
+function sendError(res, error, message) {
+  logger.error(`${message}:`, error);
+  res.status(error.status || 500).json({
+    success: false,
+    error: message,
+    message: error.message
+  });
+}
+
+async function notifyOwner(asset, decision, notes) {
+  const { data: owner } = await supabaseAdmin
+    .from('profiles')
+    .select('email, name')
+    .eq('id', asset.user_id)
+    .maybeSingle();
+
+  if (!owner?.email) return;
+
+  await mailerService.send({
+    to: owner.email,
+    subject: `Your asset ${OWNER_MESSAGES[decision]}`,
+    text: [
+      `Hi ${owner.name || 'there'},`,
+      '',
+      `"${asset.asset_name || asset.description}" ($${asset.value}) ${OWNER_MESSAGES[decision]}.`,
+      '',
+      `Reviewer notes: ${notes}`,
+      ...(decision === 'request_info'
+        ? ['', 'Update the asset or upload a supporting document to send it back for review.']
+        : [])
+    ].join('\n')
+  });
+}
+
+// GET /api/asset-reviews?type=&limit=&offset= - Assets awaiting manual review, oldest first
+router.get('/', authorize('assets:review_queue'), async (req, res) => {
+  try {
+    const { type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_PAGE_SIZE);
+    const offset = parseInt(req.query.offset) || 0;
+
+    if (type && !ASSET_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, error: `type must be one of: ${ASSET_TYPES.join(', ')}` });
+    }
+
+    const { assets, total } = await assetReviewService.queue({ reviewerId: req.user.id, type, limit, offset });
+
+    res.json({ success: true, assets: assets.map(withAging), total, limit, offset });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch review queue');
+  }
+});
+
+// GET /api/asset-reviews/:id - Asset with its documents and verification history
+router.get('/:id', authorize('assets:review'), async (req, res) => {
+  try {
+    const asset = req.resource;
+
+    const [documents, { data: logs, error }] = await Promise.all([
+      assetDocumentService.list(asset.id),
+      supabaseAdmin
+        .from('verification_logs')
+        .select('*')
+        .eq('asset_id', asset.id)
+        .order('created_at', { ascending: false })
+    ]);
+
+    if (error) throw new Error(error.message);
+
+    res.json({
+      success: true,
+      asset: { ...asset, aging: agingFor(asset) },
+      documents,
+      verification_logs: logs || []
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch asset for review');
+  }
+});
+
+const DECISION_ROUTES = {
+  approve: { path: 'approve', message: 'Asset approved' },
+  reject: { path: 'reject', message: 'Asset rejected' },
+  request_info: { path: 'request-info', message: 'More information requested from the owner' }
+};
+
+for (const [decision, { path, message }] of Object.entries(DECISION_ROUTES)) {
+  // POST /api/asset-reviews/:id/{approve,reject,request-info} - notes required
+  router.post(`/:id/${path}`, authorize('assets:review'), async (req, res) => {
+    try {
+      const notes = req.body.notes?.trim();
+
+      if (!notes) {
+        return res.status(400).json({ success: false, error: 'Reviewer notes are required' });
+      }
+
+      const asset = await assetReviewService.decide(req.resource, {
+        decision,
+        notes,
+        reviewerId: req.user.id
+      });
+
+      await notifyOwner(asset, decision, notes)
+        .catch(error => logger.error(`Failed to notify owner of asset ${asset.id}:`, error));
+
+      res.json({ success: true, message, asset });
+
+    } catch (error) {
+      sendError(res, error, `Failed to ${path.replace('-', ' ')} asset`);
+    }
+  });
+}
+
+export default router;
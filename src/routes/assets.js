@@ -4,18 +4,121 @@
 
 import express from 'express';
 import { authenticate } from '../middleware/auth.js';
-import { validateAssetCreation } from '../middleware/validation.js';
+import { authorize } from '../middleware/policy.js';
+import { validateAssetCreation, validateAssetUpdate, assetCreationErrors } from '../middleware/validation.js';
+import { uploadSingle } from '../middleware/upload.js';
 import { supabaseAdmin } from '../config/supabase.js';
 import { blockchainService } from '../services/blockchain.js';
+import { organizationService } from '../services/organizations.js';
+import { storageService } from '../services/storage.js';
+import { mailerService } from '../services/mailer.js';
+import { counterpartyService } from '../services/counterparty.js';
+import { tokenizationService } from '../services/tokenization.js';
+import { verificationService } from '../services/verification.js';
+import { assetSearchService, parseAssetSearch } from '../services/assetSearch.js';
+import { duplicateDetectionService, FINGERPRINT_FIELDS } from '../services/duplicateDetection.js';
+import {
+  assetDocumentService,
+  ASSET_DOCUMENT_TYPES,
+  PRIMARY_DOCUMENT_TYPE,
+  ASSET_DOCUMENT_MAX_BYTES,
+  ASSET_DOCUMENT_MIME_TYPES
+} from '../services/assetDocuments.js';
+import {
+  assetLifecycleService,
+  EDITABLE_STATUSES,
+  ARCHIVABLE_STATUSES
+} from '../services/assetLifecycle.js';
+import { parseCsvRecords } from '../utils/csv.js';
+import { agingFor, withAging } from '../utils/aging.js';
 import { createLogger } from '../utils/logger.js';
 
 const router = express.Router();
 const logger = createLogger('AssetsAPI');
 
-// POST /api/assets/create
-router.post('/create', authenticate, validateAssetCreation, async (req, res) => {
+const uploadDocument = uploadSingle('document', {
+  maxBytes: ASSET_DOCUMENT_MAX_BYTES,
+  allowedTypes: ASSET_DOCUMENT_MIME_TYPES
+});
+
+const uploadImport = uploadSingle('file', {
+  maxBytes: 2 * 1024 * 1024,
+  allowedTypes: ['text/csv', 'application/vnd.ms-excel', 'text/plain']
+});
+
+const IMPORT_COLUMNS = [
+  'type', 'value', 'description', 'asset_name', 'counterparty_email', 'document_url',
+  'invoice_number', 'issue_date', 'due_date'
+];
+const MAX_IMPORT_ROWS = 1000;
+
+// Changing any of these invalidates an earlier verification
+const VERIFICATION_FIELDS = ['value', 'document_url', 'counterparty_email', 'invoice_number', 'issue_date', 'due_date'];
+
+function sendLifecycleError(res, error, message) {
+  logger.error(`${message}:`, error);
+  res.status(error.status || 500).json({
+    success: false,
+    error: message,
+    message: error.message,
+    ...(error.loanIds && { active_loans: error.loanIds })
+  });
+}
+
+// Duplicate checks must not fail the write that triggered them; a failed scan leaves
+// the asset unchecked (duplicate_checked_at null) and is logged
+async function scanForDuplicates(asset) {
+  try {
+    return await duplicateDetectionService.scan(asset);
+  } catch (error) {
+    logger.error(`Duplicate scan failed for asset ${asset.id}:`, error);
+    return null;
+  }
+}
+
+// The owner learns that an asset was flagged, not which other assets it matched
+const duplicateSummary = result => result && { status: result.status, matches: result.matches.length };
+
+function notEditable(res, asset) {
+  return res.status(409).json({
+    success: false,
+    error: 'Asset cannot be changed',
+    message: `Asset is ${asset.status}`
+  });
+}
+
+// A dispute invalidates an earlier verification. Verified and released invoices go back
+// to pending, keeping the dispute so the counterparty check fails them; a pledged invoice
+// stays pledged and is re-verified, which fails it and warns the lender. Other statuses
+// have no verification to invalidate.
+async function invalidateDisputedVerification(assetId, respondedAt) {
+  const { data: asset, error } = await supabaseAdmin
+    .from('assets')
+    .select('*')
+    .eq('id', assetId)
+    .single();
+
+  if (error) throw new Error(error.message);
+
+  if (asset.status === 'verified' || asset.status === 'released') {
+    await assetLifecycleService.transition(asset, 'pending', {
+      reason: 'Counterparty disputed the invoice',
+      changes: { counterparty_status: 'disputed', counterparty_responded_at: respondedAt }
+    });
+  } else if (asset.status === 'pledged') {
+    await verificationService.start(asset);
+  }
+}
+
+// POST /api/assets/create - JSON, or multipart with the asset's document in field "document"
+router.post('/create', authorize('assets:create'), uploadDocument, validateAssetCreation, async (req, res) => {
+  let stored = null;
+
   try {
-    const { type, value, description, asset_name, counterparty_email, document_url } = req.body;
+    const {
+      type, value, description, asset_name, counterparty_email, document_url,
+      invoice_number, issue_date, due_date
+    } = req.body;
     const userId = req.user.id;
 
     logger.info(`User ${userId} creating ${type} asset: "${asset_name}" worth $${value}`);
@@ -28,17 +131,28 @@ router.post('/create', authenticate, validateAssetCreation, async (req, res) =>
       });
     }
 
+    const orgId = await organizationService.resolveActiveOrg(req, 'sme');
+
+    if (req.file) {
+      stored = await assetDocumentService.store(req.file);
+    }
+
     // Create asset in database
     const { data: asset, error: dbError } = await supabaseAdmin
       .from('assets')
       .insert({
         user_id: userId,
+        org_id: orgId,
         type,
         value,
         description,
         asset_name: asset_name || null,
         counterparty_email,
         document_url,
+        document_hash: stored?.hash || null,
+        invoice_number: invoice_number || null,
+        issue_date: issue_date || null,
+        due_date: due_date || null,
         status: 'pending',
         created_at: new Date().toISOString()
       })
@@ -49,35 +163,23 @@ router.post('/create', authenticate, validateAssetCreation, async (req, res) =>
 
     logger.info(`Asset created in database: ID ${asset.id}, Name: "${asset.asset_name}"`);
 
-    // Tokenize on blockchain (async - don't wait)
-    blockchainService.createAsset({
-      type,
-      ownerEmail: req.user.email,
-      counterpartyEmail: counterparty_email,
-      value,
-      documentHash: null
-    })
-      .then(async (blockchainResult) => {
-        await supabaseAdmin
-          .from('assets')
-          .update({
-            blockchain_asset_id: blockchainResult.assetId,
-            transaction_hash: blockchainResult.transactionHash,
-            block_number: blockchainResult.blockNumber
-          })
-          .eq('id', asset.id);
-
-        logger.info(`Asset ${asset.id} tokenized: blockchain ID ${blockchainResult.assetId}`);
-
-        await blockchainService.notifyOracleForVerification(blockchainResult.assetId);
-      })
-      .catch(error => {
-        logger.error(`Blockchain failed for asset ${asset.id}:`, error);
-        supabaseAdmin
-          .from('assets')
-          .update({ status: 'error', error_message: error.message })
-          .eq('id', asset.id);
+    let document = null;
+    if (stored) {
+      document = await assetDocumentService.attach({
+        assetId: asset.id,
+        documentType: PRIMARY_DOCUMENT_TYPE[type],
+        file: req.file,
+        key: stored.key,
+        hash: stored.hash,
+        userId
       });
+      stored = null;
+    }
+
+    const duplicates = await scanForDuplicates(asset);
+
+    // Tokenize on blockchain in the background job queue
+    await tokenizationService.enqueue(asset, { ownerEmail: req.user.email });
 
     res.status(201).json({
       success: true,
@@ -89,13 +191,22 @@ router.post('/create', authenticate, validateAssetCreation, async (req, res) =>
         status: asset.status,
         asset_name: asset.asset_name,
         description: asset.description,
+        org_id: asset.org_id,
+        document_hash: asset.document_hash,
+        invoice_number: asset.invoice_number,
+        issue_date: asset.issue_date,
+        due_date: asset.due_date,
+        aging: agingFor(asset),
         created_at: asset.created_at
-      }
+      },
+      document,
+      duplicate_check: duplicateSummary(duplicates)
     });
 
   } catch (error) {
+    if (stored) await storageService.delete(stored.key);
     logger.error('Asset creation failed:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: 'Failed to create asset',
       message: error.message
@@ -103,40 +214,148 @@ router.post('/create', authenticate, validateAssetCreation, async (req, res) =>
   }
 });
 
-// GET /api/assets/:id
-router.get('/:id', authenticate, async (req, res) => {
+// POST /api/assets/import - multipart CSV in field "file"; ?dry_run=true validates without creating
+router.post('/import', authorize('assets:create'), uploadImport, async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user.id;
+    const dryRun = [req.query.dry_run, req.body.dry_run].some(flag => flag === true || flag === 'true');
 
-    if (!supabaseAdmin) {
-      return res.status(503).json({
+    if (!req.file) {
+      return res.status(400).json({
         success: false,
-        error: 'Service not configured'
+        error: 'Validation failed',
+        details: ['A CSV file is required in field "file"']
       });
     }
 
-    const { data: asset, error } = await supabaseAdmin
-      .from('assets')
-      .select('*')
-      .eq('id', id)
-      .single();
+    let parsed;
+    try {
+      parsed = parseCsvRecords(req.file.buffer.toString('utf8'));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid CSV',
+        message: error.message
+      });
+    }
+
+    const { columns, records } = parsed;
+    const unknownColumns = columns.filter(column => !IMPORT_COLUMNS.includes(column));
 
-    if (error) throw new Error(error.message);
-    if (!asset) {
-      return res.status(404).json({
+    if (unknownColumns.length > 0 || !columns.includes('type')) {
+      return res.status(400).json({
         success: false,
-        error: 'Asset not found'
+        error: 'Invalid CSV header',
+        message: `Columns must be drawn from: ${IMPORT_COLUMNS.join(', ')}`,
+        ...(unknownColumns.length > 0 && { unknown_columns: unknownColumns })
       });
     }
 
-    if (asset.user_id !== userId) {
-      return res.status(403).json({
+    if (records.length === 0 || records.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
         success: false,
-        error: 'Access denied'
+        error: 'Invalid CSV',
+        message: `File must contain between 1 and ${MAX_IMPORT_ROWS} rows`
       });
     }
 
+    const errors = [];
+    const validRows = [];
+
+    for (const { row, values, extraFields } of records) {
+      const candidate = {
+        ...values,
+        value: values.value === '' || values.value === undefined ? undefined : Number(values.value)
+      };
+
+      const rowErrors = assetCreationErrors(candidate);
+      if (extraFields > 0) rowErrors.push(`Row has ${extraFields} more field(s) than the header`);
+
+      if (rowErrors.length > 0) {
+        errors.push({ row, errors: rowErrors });
+      } else {
+        validRows.push({ row, ...candidate });
+      }
+    }
+
+    const report = {
+      dry_run: dryRun,
+      total_rows: records.length,
+      valid_rows: validRows.length,
+      invalid_rows: errors.length,
+      errors
+    };
+
+    if (dryRun || validRows.length === 0) {
+      return res.json({ success: true, ...report, assets: [] });
+    }
+
+    if (!supabaseAdmin) {
+      return res.status(503).json({
+        success: false,
+        error: 'Service not configured',
+        message: 'Please configure SUPABASE_SERVICE_KEY'
+      });
+    }
+
+    const userId = req.user.id;
+    const orgId = await organizationService.resolveActiveOrg(req, 'sme');
+    const now = new Date().toISOString();
+
+    // One insert for the whole batch: either every valid row is created or none is
+    const { data: assets, error: dbError } = await supabaseAdmin
+      .from('assets')
+      .insert(validRows.map(row => ({
+        user_id: userId,
+        org_id: orgId,
+        type: row.type,
+        value: row.value,
+        description: row.description,
+        asset_name: row.asset_name || null,
+        counterparty_email: row.counterparty_email || null,
+        document_url: row.document_url || null,
+        invoice_number: row.invoice_number || null,
+        issue_date: row.issue_date || null,
+        due_date: row.due_date || null,
+        status: 'pending',
+        created_at: now
+      })))
+      .select('id, user_id, type, value, status, asset_name, description, counterparty_email, invoice_number, issue_date, due_date, org_id, created_at');
+
+    if (dbError) throw new Error(`Database error: ${dbError.message}`);
+
+    // In row order, so a file that repeats an invoice flags the later rows
+    const duplicateChecks = [];
+    for (const asset of assets) {
+      duplicateChecks.push(duplicateSummary(await scanForDuplicates(asset)));
+    }
+
+    await tokenizationService.enqueue(assets, { ownerEmail: req.user.email });
+
+    logger.info(`User ${userId} imported ${assets.length} assets (${errors.length} rows rejected)`);
+
+    res.status(201).json({
+      success: true,
+      message: `${assets.length} assets created and queued for verification`,
+      ...report,
+      assets: assets.map((asset, i) => ({ row: validRows[i].row, ...asset, duplicate_check: duplicateChecks[i] }))
+    });
+
+  } catch (error) {
+    logger.error('Asset import failed:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to import assets',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/assets/:id
+router.get('/:id', authorize('assets:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const asset = req.resource;
+
     let blockchainData = null;
     if (asset.blockchain_asset_id) {
       try {
@@ -149,7 +368,7 @@ router.get('/:id', authenticate, async (req, res) => {
     res.json({
       success: true,
       asset: {
-        ...asset,
+        ...withAging(asset),
         blockchain_status: blockchainData?.status || 'pending',
         blockchain_verified: blockchainData?.verifiedAt ? true : false
       }
@@ -165,76 +384,426 @@ router.get('/:id', authenticate, async (req, res) => {
   }
 });
 
-// GET /api/assets
-router.get('/', authenticate, async (req, res) => {
+// POST /api/assets/:id/documents - multipart field "document", optional body field "document_type"
+router.post('/:id/documents', authorize('assets:manage'), uploadDocument, async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { status, type, limit = 50, offset = 0 } = req.query;
+    const asset = req.resource;
+    const documentType = req.body.document_type || PRIMARY_DOCUMENT_TYPE[asset.type] || 'supporting';
 
-    if (!supabaseAdmin) {
-      return res.status(503).json({
+    if (!req.file || !ASSET_DOCUMENT_TYPES.includes(documentType)) {
+      return res.status(400).json({
         success: false,
-        error: 'Service not configured'
+        error: 'Validation failed',
+        details: [`A document file is required; document_type must be one of: ${ASSET_DOCUMENT_TYPES.join(', ')}`]
       });
     }
 
-    let query = supabaseAdmin
-      .from('assets')
-      .select('*', { count: 'exact' })
-      .eq('user_id', userId)
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
+    if (!EDITABLE_STATUSES.includes(asset.status)) {
+      return notEditable(res, asset);
+    }
 
-    if (status) query = query.eq('status', status);
-    if (type) query = query.eq('type', type);
+    await assetLifecycleService.assertUnlocked(asset);
 
-    const { data: assets, error, count } = await query;
+    const { key, hash } = await assetDocumentService.store(req.file);
 
-    if (error) throw new Error(error.message);
+    let document;
+    try {
+      document = await assetDocumentService.attach({
+        assetId: asset.id,
+        documentType,
+        file: req.file,
+        key,
+        hash,
+        userId: req.user.id
+      });
+    } catch (error) {
+      await storageService.delete(key);
+      throw error;
+    }
 
-    res.json({
-      success: true,
-      assets: assets || [],
-      total: count || 0,
-      limit: parseInt(limit),
-      offset: parseInt(offset)
+    // New evidence means the asset must be verified again. The first primary
+    // document becomes the asset's fingerprint.
+    const changes = {};
+    if (!asset.document_hash && documentType === PRIMARY_DOCUMENT_TYPE[asset.type]) {
+      changes.document_hash = hash;
+    }
+
+    const updatedAsset = await assetLifecycleService.update(asset, changes, {
+      actorId: req.user.id,
+      resetVerification: true
     });
 
+    if (changes.document_hash) await scanForDuplicates(updatedAsset);
+
+    logger.info(`Document ${document.id} (${documentType}, sha256 ${hash}) uploaded for asset ${asset.id}`);
+
+    res.status(201).json({ success: true, document, asset: updatedAsset });
+
   } catch (error) {
-    logger.error('Failed to list assets:', error);
+    sendLifecycleError(res, error, 'Failed to upload document');
+  }
+});
+
+// GET /api/assets/:id/documents
+router.get('/:id/documents', authorize('assets:read'), async (req, res) => {
+  try {
+    const documents = await assetDocumentService.list(req.resource.id);
+
+    res.json({ success: true, documents });
+
+  } catch (error) {
+    logger.error('Failed to list asset documents:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch assets',
+      error: 'Failed to fetch documents',
       message: error.message
     });
   }
 });
 
-// ADMIN: Manually verify asset (for testing)
-router.post('/:id/verify', authenticate, async (req, res) => {
+// GET /api/assets/:id/documents/:documentId/download
+router.get('/:id/documents/:documentId/download', authorize('assets:read'), async (req, res) => {
+  try {
+    const result = await assetDocumentService.download(req.resource.id, req.params.documentId);
+
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Document not found' });
+    }
+
+    res.set('Content-Type', result.document.content_type);
+    res.set('X-Content-SHA256', result.document.sha256);
+    res.attachment(result.document.filename);
+    res.send(result.file);
+
+  } catch (error) {
+    logger.error('Asset document download failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download document',
+      message: error.message
+    });
+  }
+});
+
+// PATCH /api/assets/:id
+router.patch('/:id', authorize('assets:manage'), validateAssetUpdate, async (req, res) => {
+  try {
+    const asset = req.resource;
+
+    if (!EDITABLE_STATUSES.includes(asset.status)) {
+      return notEditable(res, asset);
+    }
+
+    await assetLifecycleService.assertUnlocked(asset);
+
+    const changes = Object.fromEntries(
+      Object.entries(req.body).filter(([field, value]) => asset[field] !== value)
+    );
+
+    if (Object.keys(changes).length === 0) {
+      return res.json({ success: true, message: 'No changes', asset });
+    }
+
+    const resetVerification = VERIFICATION_FIELDS.some(field => field in changes &&
+      String(changes[field]) !== String(asset[field]));
+
+    const updatedAsset = await assetLifecycleService.update(asset, changes, {
+      actorId: req.user.id,
+      resetVerification
+    });
+
+    if (FINGERPRINT_FIELDS.some(field => field in changes)) await scanForDuplicates(updatedAsset);
+
+    logger.info(`Asset ${asset.id} updated by ${req.user.id}: ${Object.keys(changes).join(', ')}`);
+
+    res.json({
+      success: true,
+      message: resetVerification
+        ? 'Asset updated; it must be verified again'
+        : 'Asset updated',
+      asset: updatedAsset
+    });
+
+  } catch (error) {
+    sendLifecycleError(res, error, 'Failed to update asset');
+  }
+});
+
+// POST /api/assets/:id/withdraw
+router.post('/:id/withdraw', authorize('assets:manage'), async (req, res) => {
+  try {
+    const asset = req.resource;
+
+    await assetLifecycleService.assertUnlocked(asset);
+
+    const updatedAsset = await assetLifecycleService.transition(asset, 'withdrawn', {
+      actorId: req.user.id,
+      reason: req.body.reason || null
+    });
+
+    res.json({ success: true, message: 'Asset withdrawn', asset: updatedAsset });
+
+  } catch (error) {
+    sendLifecycleError(res, error, 'Failed to withdraw asset');
+  }
+});
+
+// POST /api/assets/:id/archive
+router.post('/:id/archive', authorize('assets:manage'), async (req, res) => {
+  try {
+    const asset = req.resource;
+
+    if (asset.archived_at) {
+      return res.status(409).json({ success: false, error: 'Asset is already archived' });
+    }
+
+    if (!ARCHIVABLE_STATUSES.includes(asset.status)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Asset cannot be archived',
+        message: `Only ${ARCHIVABLE_STATUSES.join(', ')} assets can be archived`
+      });
+    }
+
+    await assetLifecycleService.assertUnlocked(asset);
+
+    const updatedAsset = await assetLifecycleService.archive(asset, { actorId: req.user.id });
+
+    res.json({ success: true, message: 'Asset archived', asset: updatedAsset });
+
+  } catch (error) {
+    sendLifecycleError(res, error, 'Failed to archive asset');
+  }
+});
+
+// GET /api/assets/:id/history
+router.get('/:id/history', authorize('assets:read'), async (req, res) => {
+  try {
+    const history = await assetLifecycleService.history(req.resource.id);
+
+    res.json({ success: true, status: req.resource.status, history });
+
+  } catch (error) {
+    sendLifecycleError(res, error, 'Failed to fetch asset history');
+  }
+});
+
+// POST /api/assets/:id/confirmation - Ask the invoice's counterparty to confirm it
+router.post('/:id/confirmation', authorize('assets:manage'), async (req, res) => {
+  try {
+    const asset = req.resource;
+
+    if (asset.type !== 'invoice') {
+      return res.status(400).json({ success: false, error: 'Only invoice assets can be confirmed by a counterparty' });
+    }
+
+    if (!asset.counterparty_email) {
+      return res.status(400).json({ success: false, error: 'Set counterparty_email on the asset first' });
+    }
+
+    if (!EDITABLE_STATUSES.includes(asset.status)) {
+      return notEditable(res, asset);
+    }
+
+    const { confirmation, token } = await counterpartyService.request(asset, { requestedBy: req.user.id });
+
+    const confirmLink = `${process.env.FRONTEND_URL}/invoices/confirm/${token}`;
+    const issuer = req.profile.company_name || req.profile.name || req.user.email;
+
+    await mailerService.send({
+      to: confirmation.counterparty_email,
+      subject: `Please confirm an invoice from ${issuer}`,
+      text: [
+        `${issuer} has listed an invoice issued to you on GoodFi:`,
+        '',
+        `  ${asset.asset_name || 'Invoice'} - $${asset.value}`,
+        `  ${asset.description}`,
+        '',
+        `Confirm or dispute it here: ${confirmLink}`,
+        '',
+        `This link expires on ${confirmation.expires_at}.`
+      ].join('\n')
+    });
+
+    logger.info(`Counterparty confirmation requested for asset ${asset.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Confirmation request sent',
+      confirmation,
+      confirm_link: confirmLink
+    });
+
+  } catch (error) {
+    sendLifecycleError(res, error, 'Failed to request confirmation');
+  }
+});
+
+// GET /api/assets/:id/confirmations
+router.get('/:id/confirmations', authorize('assets:read'), async (req, res) => {
+  try {
+    const confirmations = await counterpartyService.history(req.resource.id);
+
+    res.json({
+      success: true,
+      counterparty_status: req.resource.counterparty_status || 'not_requested',
+      confirmations
+    });
+
+  } catch (error) {
+    sendLifecycleError(res, error, 'Failed to fetch confirmations');
+  }
+});
+
+// GET /api/assets/confirmations/:token - Invoice summary for the counterparty (no auth required)
+router.get('/confirmations/:token', async (req, res) => {
   try {
-    const { id } = req.params;
-    
     if (!supabaseAdmin) {
       return res.status(503).json({ success: false, error: 'Service not configured' });
     }
 
-    const { error } = await supabaseAdmin
-      .from('assets')
-      .update({ status: 'verified' })
-      .eq('id', id);
+    const confirmation = await counterpartyService.find(req.params.token);
 
-    if (error) throw new Error(error.message);
+    if (!confirmation) {
+      return res.status(404).json({ success: false, error: 'Confirmation request not found' });
+    }
+
+    const { data: issuer } = await supabaseAdmin
+      .from('profiles')
+      .select('name, company_name')
+      .eq('id', confirmation.assets.user_id)
+      .maybeSingle();
 
     res.json({
       success: true,
-      message: 'Asset verified successfully'
+      confirmation: {
+        status: counterpartyService.isOpen(confirmation) ? 'pending' : confirmation.status === 'pending' ? 'expired' : confirmation.status,
+        expires_at: confirmation.expires_at,
+        responded_at: confirmation.responded_at,
+        invoice: {
+          asset_name: confirmation.assets.asset_name,
+          description: confirmation.assets.description,
+          value: confirmation.assets.value,
+          issued_to: confirmation.counterparty_email,
+          issuer: issuer?.company_name || issuer?.name || null,
+          created_at: confirmation.assets.created_at
+        }
+      }
     });
 
   } catch (error) {
+    sendLifecycleError(res, error, 'Failed to fetch confirmation request');
+  }
+});
+
+// POST /api/assets/confirmations/:token/:response - Counterparty confirms or disputes (no auth required)
+router.post('/confirmations/:token/:response(confirm|dispute)', async (req, res) => {
+  try {
+    const response = req.params.response === 'confirm' ? 'confirmed' : 'disputed';
+    const { name, note } = req.body;
+
+    if (!name || name.trim().length < 2) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: ['name is required'] });
+    }
+
+    if (response === 'disputed' && !note?.trim()) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: ['note is required when disputing'] });
+    }
+
+    const confirmation = await counterpartyService.find(req.params.token);
+
+    if (!confirmation || !counterpartyService.isOpen(confirmation)) {
+      return res.status(404).json({ success: false, error: 'Confirmation request not found, expired or already answered' });
+    }
+
+    const result = await counterpartyService.respond(confirmation, {
+      response,
+      name: name.trim(),
+      note: note?.trim(),
+      ip: req.ip
+    });
+
+    if (!result) {
+      return res.status(409).json({ success: false, error: 'Confirmation request already answered' });
+    }
+
+    const asset = confirmation.assets;
+
+    if (response === 'disputed') {
+      await invalidateDisputedVerification(asset.id, result.responded_at)
+        .catch(error => logger.error(`Failed to invalidate verification of disputed asset ${asset.id}:`, error));
+    }
+
+    const { data: owner } = await supabaseAdmin
+      .from('profiles')
+      .select('email, name')
+      .eq('id', asset.user_id)
+      .maybeSingle();
+
+    if (owner?.email) {
+      await mailerService.send({
+        to: owner.email,
+        subject: `Your invoice was ${response} by the counterparty`,
+        text: [
+          `Hi ${owner.name || 'there'},`,
+          '',
+          `${result.responder_name} (${confirmation.counterparty_email}) ${response} "${asset.asset_name || 'your invoice'}".`,
+          ...(result.response_note ? ['', `Note: ${result.response_note}`] : [])
+        ].join('\n')
+      });
+    }
+
+    res.json({
+      success: true,
+      message: response === 'confirmed' ? 'Thank you for confirming this invoice' : 'Your dispute has been recorded',
+      confirmation: { status: result.status, responded_at: result.responded_at }
+    });
+
+  } catch (error) {
+    sendLifecycleError(res, error, 'Failed to record response');
+  }
+});
+
+// GET /api/assets - Assets owned by the caller or their organizations
+// ?status=&type=&verification_status= (comma-separated), min_value=&max_value=,
+// created_from=&created_to=, verified_from=&verified_to=, q= (name/description),
+// sort=created_at|value|verified_at, order=asc|desc, limit=, cursor= (from next_cursor)
+router.get('/', authenticate, async (req, res) => {
+  try {
+    if (!supabaseAdmin) {
+      return res.status(503).json({
+        success: false,
+        error: 'Service not configured'
+      });
+    }
+
+    const { search, errors } = parseAssetSearch(req.query);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    const { assets, nextCursor } = await assetSearchService.search(req, search);
+
+    res.json({
+      success: true,
+      assets: assets.map(withAging),
+      limit: search.limit,
+      sort: search.sort,
+      order: search.order,
+      next_cursor: nextCursor,
+      has_more: nextCursor !== null
+    });
+
+  } catch (error) {
+    logger.error('Failed to list assets:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to verify asset',
+      error: 'Failed to fetch assets',
       message: error.message
     });
   }
@@ -3,19 +3,59 @@
  */
 
 import express from 'express';
-import { supabase, supabaseAdmin } from '../config/supabase.js';
+import { supabase, supabaseAdmin, createAuthClient } from '../config/supabase.js';
 import { authenticate } from '../middleware/auth.js';
+import { authorize, loadProfile } from '../middleware/policy.js';
+import { requireStepUp } from '../middleware/stepUp.js';
+import { sessionService } from '../services/sessions.js';
+import { authTokenService, TOKEN_PURPOSES } from '../services/authTokens.js';
+import { mailerService } from '../services/mailer.js';
+import { roleService } from '../services/roles.js';
+import { SELF_SERVICE_ROLES } from '../config/roles.js';
+import { twoFactorService } from '../services/twoFactor.js';
+import { loginThrottleService } from '../services/loginThrottle.js';
+import { securityEventService } from '../services/securityEvents.js';
+import { formatUser } from '../utils/userResponse.js';
+import { maskEmail } from '../utils/privacy.js';
 import { createLogger } from '../utils/logger.js';
 
 const router = express.Router();
 const logger = createLogger('AuthAPI');
 
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60');
+const EMAIL_CHANGE_TTL_MINUTES = parseInt(process.env.EMAIL_CHANGE_TTL_MINUTES || '1440');
+const MIN_PASSWORD_LENGTH = 8;
+
+async function sendPasswordReset(profile, email) {
+  const token = await authTokenService.issue({
+    userId: profile.id,
+    purpose: TOKEN_PURPOSES.PASSWORD_RESET,
+    ttlMinutes: PASSWORD_RESET_TTL_MINUTES
+  });
+
+  await mailerService.send({
+    to: email,
+    subject: 'Reset your GoodFi password',
+    text: [
+      `Hi ${profile.name || 'there'},`,
+      '',
+      'Use the link below to choose a new password:',
+      `${process.env.FRONTEND_URL}/reset-password/${token}`,
+      '',
+      `This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.`,
+      'If you did not request a password reset, you can ignore this email.'
+    ].join('\n')
+  });
+
+  logger.info(`Password reset issued for user ${profile.id}`);
+}
+
 // POST /api/auth/register
 router.post('/register', async (req, res) => {
   try {
-    const { email, password, full_name, user_type, phone } = req.body;
+    const { email, password, full_name, user_type = 'sme', phone, invite_token } = req.body;
 
-    logger.info(`Registration attempt: ${email}, type: ${user_type}`);
+    logger.info(`Registration attempt: ${maskEmail(email)}, type: ${user_type}`);
 
     if (!supabaseAdmin) {
       return res.status(503).json({
@@ -24,6 +64,28 @@ router.post('/register', async (req, res) => {
       });
     }
 
+    // Lender/admin accounts only come from an invitation or an approved /api/roles/requests entry
+    if (!SELF_SERVICE_ROLES.includes(user_type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user type',
+        message: `user_type must be one of: ${SELF_SERVICE_ROLES.join(', ')}. Lender and admin accounts require an invitation.`
+      });
+    }
+
+    let invitation = null;
+    if (invite_token) {
+      invitation = await roleService.findInvitation(invite_token);
+
+      if (!invitation || invitation.email !== email?.trim().toLowerCase()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid invitation',
+          message: 'Invitation not found, expired, or sent to a different email address'
+        });
+      }
+    }
+
     // Create user in Supabase Auth
     const { data: authData, error: authError } = await supabaseAdmin.auth.admin.createUser({
       email,
@@ -31,7 +93,7 @@ router.post('/register', async (req, res) => {
       email_confirm: true,
       user_metadata: {
         full_name: full_name || 'User',
-        user_type: user_type || 'sme'
+        user_type
       }
     });
 
@@ -42,8 +104,9 @@ router.post('/register', async (req, res) => {
       .from('profiles')
       .insert({
         id: authData.user.id,
+        email: email?.trim().toLowerCase(),
         name: full_name || 'User',
-        role: user_type || 'sme',
+        role: user_type,
         phone: phone || null,
         email_notifications: true,
         sms_notifications: false,
@@ -54,8 +117,14 @@ router.post('/register', async (req, res) => {
       logger.warn(`Failed to create profile: ${profileError.message}`);
     }
 
+    if (invitation) {
+      await roleService.acceptInvitation(invitation, authData.user.id);
+    }
+
+    const role = invitation?.role || user_type;
+
     // ✅ FIXED: Sign in the user to get session tokens
-    const { data: signInData, error: signInError } = await supabase.auth.signInWithPassword({
+    const { data: signInData, error: signInError } = await createAuthClient().auth.signInWithPassword({
       email,
       password
     });
@@ -65,7 +134,13 @@ router.post('/register', async (req, res) => {
       throw new Error('Registration succeeded but login failed');
     }
 
-    logger.info(`User registered successfully: ${email}`);
+    await sessionService.record({
+      userId: authData.user.id,
+      accessToken: signInData.session.access_token,
+      req
+    });
+
+    logger.info(`User registered successfully: ${maskEmail(email)}`);
 
     // ✅ FIXED: Return session tokens like the login endpoint does
     res.status(201).json({
@@ -75,7 +150,7 @@ router.post('/register', async (req, res) => {
         id: authData.user.id,
         email: authData.user.email,
         name: full_name || 'User',
-        role: user_type || 'sme',
+        role,
         phone: phone || null
       },
       session: {
@@ -98,9 +173,11 @@ router.post('/register', async (req, res) => {
 // POST /api/auth/login
 router.post('/login', async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { password } = req.body;
+    const email = req.body.email?.trim().toLowerCase();
+    const ip = req.ip;
 
-    logger.info(`Login attempt: ${email}`);
+    logger.info(`Login attempt: ${maskEmail(email)}`);
 
     if (!supabase) {
       return res.status(503).json({
@@ -109,21 +186,84 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    const { data, error } = await supabase.auth.signInWithPassword({
+    const throttle = await loginThrottleService.check({ email, ip });
+
+    if (!throttle.allowed) {
+      await securityEventService.record('login_blocked', {
+        email,
+        ip,
+        details: { reason: throttle.reason, retry_after_seconds: throttle.retryAfterSeconds }
+      });
+
+      res.set('Retry-After', String(throttle.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many login attempts',
+        message: `Try again in ${throttle.retryAfterSeconds} seconds`,
+        retry_after: throttle.retryAfterSeconds
+      });
+    }
+
+    const { data, error } = await createAuthClient().auth.signInWithPassword({
       email,
       password
     });
 
-    if (error) throw new Error(error.message);
+    if (error) {
+      const locked = await loginThrottleService.recordFailure({ email, ip });
+
+      await securityEventService.record('login_failed', { email, ip, details: { reason: error.message } });
+      for (const scope of locked) {
+        logger.warn(`Login ${scope} lockout triggered for ${scope === 'ip' ? ip : maskEmail(email)}`);
+        await securityEventService.record(`${scope}_locked`, { email, ip });
+      }
+
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid credentials',
+        message: error.message
+      });
+    }
+
+    await loginThrottleService.recordSuccess({ email });
 
     // Get profile to get role
     const { data: profile } = await supabaseAdmin
       .from('profiles')
-      .select('role, name, phone')
+      .select('role, name, phone, status, email')
       .eq('id', data.user.id)
       .single();
 
-    logger.info(`Login successful: ${email}`);
+    // Keep the profile email in step with the login email (used for password resets)
+    if (profile && profile.email !== data.user.email) {
+      const { error: emailError } = await supabaseAdmin
+        .from('profiles')
+        .update({ email: data.user.email })
+        .eq('id', data.user.id);
+
+      if (emailError) logger.warn(`Failed to sync profile email: ${emailError.message}`);
+    }
+
+    if (profile?.status === 'suspended') {
+      await supabaseAdmin.auth.admin.signOut(data.session.access_token, 'local');
+      await securityEventService.record('login_suspended', { email, ip, userId: data.user.id });
+
+      return res.status(403).json({
+        success: false,
+        error: 'Account suspended',
+        message: 'This account has been suspended. Contact support.'
+      });
+    }
+
+    await securityEventService.record('login_success', { email, ip, userId: data.user.id });
+
+    await sessionService.record({
+      userId: data.user.id,
+      accessToken: data.session.access_token,
+      req
+    });
+
+    logger.info(`Login successful: ${maskEmail(email)}`);
 
     res.json({
       success: true,
@@ -132,7 +272,7 @@ router.post('/login', async (req, res) => {
         id: data.user.id,
         email: data.user.email,
         name: profile?.name || data.user.user_metadata?.full_name || 'User',
-        role: profile?.role || data.user.user_metadata?.user_type || 'sme',
+        role: profile?.role || 'sme',
         phone: profile?.phone
       },
       session: {
@@ -152,11 +292,383 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// POST /api/auth/forgot-password
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'email is required'
+      });
+    }
+
+    if (!supabaseAdmin) {
+      return res.status(503).json({
+        success: false,
+        error: 'Service not configured'
+      });
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+    const ip = req.ip;
+
+    // Every request counts, so the endpoint cannot be used to probe for accounts
+    const throttle = await loginThrottleService.check({ email: normalizedEmail, ip, action: 'password_reset' });
+
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many reset requests',
+        message: `Try again in ${throttle.retryAfterSeconds} seconds`
+      });
+    }
+
+    await loginThrottleService.recordFailure({ email: normalizedEmail, ip, action: 'password_reset' });
+
+    // profiles.email is kept in sync at registration, login and email change;
+    // older accounts are filled in by `npm run backfill:profile-emails`
+    const { data: profile, error } = await supabaseAdmin
+      .from('profiles')
+      .select('id, name')
+      .eq('email', normalizedEmail)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+
+    // Same response, sent before any email work, whether or not the account exists
+    if (profile) {
+      sendPasswordReset(profile, email)
+        .catch(resetError => logger.error(`Failed to send password reset for user ${profile.id}:`, resetError));
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+
+  } catch (error) {
+    logger.error('Forgot password failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process request'
+    });
+  }
+});
+
+// POST /api/auth/reset-password
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'token and password are required'
+      });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    if (!supabaseAdmin) {
+      return res.status(503).json({
+        success: false,
+        error: 'Service not configured'
+      });
+    }
+
+    const record = await authTokenService.consume(token, TOKEN_PURPOSES.PASSWORD_RESET);
+
+    if (!record) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired reset token'
+      });
+    }
+
+    const { error } = await supabaseAdmin.auth.admin.updateUserById(record.user_id, { password });
+    if (error) throw new Error(error.message);
+
+    // A password reset signs the user out everywhere
+    await sessionService.revokeAll(record.user_id, { reason: 'password_reset' });
+
+    logger.info(`Password reset completed for user ${record.user_id}`);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    logger.error('Reset password failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset password',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/auth/change-email
+router.post('/change-email', authenticate, async (req, res) => {
+  try {
+    const { new_email, password } = req.body;
+
+    if (!new_email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'new_email and password are required'
+      });
+    }
+
+    if (!supabaseAdmin) {
+      return res.status(503).json({
+        success: false,
+        error: 'Service not configured'
+      });
+    }
+
+    const newEmail = new_email.trim().toLowerCase();
+
+    if (newEmail === req.user.email) {
+      return res.status(400).json({
+        success: false,
+        error: 'New email must be different from the current one'
+      });
+    }
+
+    // Re-check the password so a stolen access token cannot take over the account.
+    // Guesses count against the same throttle as logins.
+    const email = req.user.email;
+    const ip = req.ip;
+    const throttle = await loginThrottleService.check({ email, ip });
+
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many attempts',
+        message: `Try again in ${throttle.retryAfterSeconds} seconds`
+      });
+    }
+
+    const { data: check, error: passwordError } = await createAuthClient().auth.signInWithPassword({
+      email,
+      password
+    });
+
+    if (passwordError) {
+      await loginThrottleService.recordFailure({ email, ip });
+      await securityEventService.record('password_check_failed', {
+        email,
+        ip,
+        userId: req.user.id,
+        details: { action: 'change_email' }
+      });
+
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid credentials'
+      });
+    }
+
+    await loginThrottleService.recordSuccess({ email });
+
+    // The check only needed the password; end the session it opened
+    const { error: signOutError } = await supabaseAdmin.auth.admin.signOut(check.session.access_token, 'local');
+    if (signOutError) logger.warn(`Failed to end password check session: ${signOutError.message}`);
+
+    const token = await authTokenService.issue({
+      userId: req.user.id,
+      purpose: TOKEN_PURPOSES.EMAIL_CHANGE,
+      ttlMinutes: EMAIL_CHANGE_TTL_MINUTES,
+      payload: { new_email: newEmail, old_email: req.user.email }
+    });
+
+    await mailerService.send({
+      to: newEmail,
+      subject: 'Confirm your new GoodFi email address',
+      text: [
+        'Confirm this address for your GoodFi account:',
+        `${process.env.FRONTEND_URL}/confirm-email/${token}`,
+        '',
+        `This link expires in ${Math.round(EMAIL_CHANGE_TTL_MINUTES / 60)} hours and can only be used once.`
+      ].join('\n')
+    });
+
+    await mailerService.send({
+      to: req.user.email,
+      subject: 'Your GoodFi email address is being changed',
+      text: [
+        `A request was made to change your GoodFi login email to ${newEmail}.`,
+        'If this was not you, reset your password immediately.'
+      ].join('\n')
+    });
+
+    logger.info(`Email change requested for user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Confirmation link sent to the new email address'
+    });
+
+  } catch (error) {
+    logger.error('Change email failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change email',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/auth/confirm-email-change
+router.post('/confirm-email-change', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: 'token is required'
+      });
+    }
+
+    if (!supabaseAdmin) {
+      return res.status(503).json({
+        success: false,
+        error: 'Service not configured'
+      });
+    }
+
+    const record = await authTokenService.consume(token, TOKEN_PURPOSES.EMAIL_CHANGE);
+
+    if (!record) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired confirmation token'
+      });
+    }
+
+    const newEmail = record.payload.new_email;
+
+    const { error } = await supabaseAdmin.auth.admin.updateUserById(record.user_id, {
+      email: newEmail,
+      email_confirm: true
+    });
+    if (error) throw new Error(error.message);
+
+    const { error: profileError } = await supabaseAdmin
+      .from('profiles')
+      .update({ email: newEmail })
+      .eq('id', record.user_id);
+
+    if (profileError) {
+      logger.warn(`Failed to update profile email: ${profileError.message}`);
+    }
+
+    logger.info(`Email changed for user ${record.user_id}`);
+
+    res.json({
+      success: true,
+      message: 'Email address updated',
+      email: newEmail
+    });
+
+  } catch (error) {
+    logger.error('Confirm email change failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to confirm email change',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/auth/refresh
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({
+        success: false,
+        error: 'refresh_token is required'
+      });
+    }
+
+    const { data, error } = await createAuthClient().auth.refreshSession({ refresh_token });
+
+    if (error || !data.session) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired refresh token',
+        message: 'Please log in again'
+      });
+    }
+
+    const sessionId = sessionService.getSessionId(data.session.access_token);
+
+    if (await sessionService.isRevoked(sessionId)) {
+      logger.warn(`Refresh attempted on revoked session ${sessionId}`);
+      if (supabaseAdmin) {
+        await supabaseAdmin.auth.admin.signOut(data.session.access_token, 'local');
+      }
+      return res.status(401).json({
+        success: false,
+        error: 'Session revoked',
+        message: 'Please log in again'
+      });
+    }
+
+    await sessionService.record({
+      userId: data.user.id,
+      accessToken: data.session.access_token,
+      req
+    });
+
+    res.json({
+      success: true,
+      session: {
+        access_token: data.session.access_token,
+        refresh_token: data.session.refresh_token,
+        expires_at: data.session.expires_at
+      }
+    });
+
+  } catch (error) {
+    logger.error('Token refresh failed:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Token refresh failed',
+      message: error.message
+    });
+  }
+});
+
 // POST /api/auth/logout
 router.post('/logout', authenticate, async (req, res) => {
   try {
-    if (supabase) {
-      await supabase.auth.signOut();
+    if (!supabaseAdmin) {
+      return res.status(503).json({
+        success: false,
+        error: 'Service not configured'
+      });
+    }
+
+    // Invalidate the caller's refresh token only, not every device
+    const { error } = await supabaseAdmin.auth.admin.signOut(req.token, 'local');
+    if (error) throw new Error(error.message);
+
+    if (req.sessionId) {
+      await sessionService.revoke(req.user.id, req.sessionId, 'logout');
     }
 
     res.json({
@@ -173,6 +685,312 @@ router.post('/logout', authenticate, async (req, res) => {
   }
 });
 
+// GET /api/auth/sessions
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await sessionService.list(req.user.id);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.sessionId
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Failed to list sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sessions',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/auth/sessions/:sessionId
+router.delete('/sessions/:sessionId', authenticate, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!supabaseAdmin) {
+      return res.status(503).json({
+        success: false,
+        error: 'Service not configured'
+      });
+    }
+
+    const revoked = await sessionService.revoke(req.user.id, sessionId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    if (sessionId === req.sessionId) {
+      await supabaseAdmin.auth.admin.signOut(req.token, 'local');
+    }
+
+    logger.info(`User ${req.user.id} revoked session ${sessionId}`);
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+
+  } catch (error) {
+    logger.error('Failed to revoke session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke session',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/auth/sessions?keep_current=true
+router.delete('/sessions', authenticate, async (req, res) => {
+  try {
+    const keepCurrent = req.query.keep_current === 'true';
+
+    if (!supabaseAdmin) {
+      return res.status(503).json({
+        success: false,
+        error: 'Service not configured'
+      });
+    }
+
+    const { error } = await supabaseAdmin.auth.admin.signOut(
+      req.token,
+      keepCurrent ? 'others' : 'global'
+    );
+    if (error) throw new Error(error.message);
+
+    const count = await sessionService.revokeAll(req.user.id, {
+      exceptSessionId: keepCurrent ? req.sessionId : null
+    });
+
+    logger.info(`User ${req.user.id} revoked ${count} session(s)`);
+
+    res.json({
+      success: true,
+      message: keepCurrent ? 'Other sessions revoked' : 'All sessions revoked',
+      revoked: count
+    });
+
+  } catch (error) {
+    logger.error('Failed to revoke sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke sessions',
+      message: error.message
+    });
+  }
+});
+
+// ==================== TWO-FACTOR AUTHENTICATION ====================
+
+// GET /api/auth/2fa
+router.get('/2fa', authenticate, loadProfile, async (req, res) => {
+  res.json({
+    success: true,
+    two_factor: {
+      enabled: Boolean(req.profile.totp_enabled),
+      enrolled_at: req.profile.totp_enrolled_at || null,
+      recovery_codes_remaining: (req.profile.totp_recovery_codes || []).length
+    }
+  });
+});
+
+// POST /api/auth/2fa/enroll
+router.post('/2fa/enroll', authenticate, loadProfile, async (req, res) => {
+  try {
+    if (req.profile.totp_enabled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const enrollment = await twoFactorService.beginEnrollment(req.profile, req.user.email);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code in your authenticator app, then confirm with a code',
+      ...enrollment
+    });
+
+  } catch (error) {
+    logger.error('2FA enrollment failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start two-factor enrollment',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/auth/2fa/activate
+router.post('/2fa/activate', authenticate, loadProfile, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (req.profile.totp_enabled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.activate(req.profile, code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid code',
+        message: 'Start enrollment first and enter the current code from your authenticator app'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      recovery_codes: recoveryCodes
+    });
+
+  } catch (error) {
+    logger.error('2FA activation failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to enable two-factor authentication',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes - requires X-2FA-Code
+router.post(
+  '/2fa/recovery-codes',
+  authenticate,
+  loadProfile,
+  requireStepUp('regenerate recovery codes'),
+  async (req, res) => {
+    try {
+      const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.profile);
+
+      res.json({
+        success: true,
+        message: 'Recovery codes regenerated. Previous codes no longer work.',
+        recovery_codes: recoveryCodes
+      });
+
+    } catch (error) {
+      logger.error('Failed to regenerate recovery codes:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to regenerate recovery codes',
+        message: error.message
+      });
+    }
+  }
+);
+
+// POST /api/auth/2fa/disable - requires X-2FA-Code
+router.post(
+  '/2fa/disable',
+  authenticate,
+  loadProfile,
+  requireStepUp('disable two-factor authentication'),
+  async (req, res) => {
+    try {
+      await twoFactorService.disable(req.profile);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+
+    } catch (error) {
+      logger.error('Failed to disable 2FA:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to disable two-factor authentication',
+        message: error.message
+      });
+    }
+  }
+);
+
+// ==================== SECURITY ADMINISTRATION ====================
+
+// GET /api/auth/security-events?type=&email=&ip=&user_id=&since=&limit=
+router.get('/security-events', authorize('security:manage'), async (req, res) => {
+  try {
+    const { type, email, ip, user_id, since, limit = 100 } = req.query;
+
+    const events = await securityEventService.query({
+      type,
+      email: email?.trim().toLowerCase(),
+      ip,
+      userId: user_id,
+      since,
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      events
+    });
+
+  } catch (error) {
+    logger.error('Failed to query security events:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch security events',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/auth/unlock - Clear failed-login counters for an account and/or IP
+router.post('/unlock', authorize('security:manage'), async (req, res) => {
+  try {
+    const { ip } = req.body;
+    const email = req.body.email?.trim().toLowerCase();
+
+    if (!email && !ip) {
+      return res.status(400).json({
+        success: false,
+        error: 'email or ip is required'
+      });
+    }
+
+    await loginThrottleService.unlock({ email, ip });
+    await securityEventService.record('unlocked', {
+      email: email || null,
+      ip: ip || null,
+      details: { unlocked_by: req.user.id }
+    });
+
+    logger.info(`Admin ${req.user.id} unlocked ${[email && maskEmail(email), ip].filter(Boolean).join(', ')}`);
+
+    res.json({
+      success: true,
+      message: 'Login lockout cleared'
+    });
+
+  } catch (error) {
+    logger.error('Failed to unlock:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clear lockout',
+      message: error.message
+    });
+  }
+});
+
 // GET /api/auth/me
 router.get('/me', authenticate, async (req, res) => {
   try {
@@ -195,15 +1013,7 @@ router.get('/me', authenticate, async (req, res) => {
 
     res.json({
       success: true,
-      user: {
-        id: req.user.id,
-        email: req.user.email,
-        name: profile?.name,
-        role: profile?.role,
-        phone: profile?.phone,
-        email_notifications: profile?.email_notifications,
-        sms_notifications: profile?.sms_notifications
-      }
+      user: formatUser(req.user, profile)
     });
 
   } catch (error) {
@@ -0,0 +1,449 @@
+/**
+ * KYB (Business Verification) Routes
+ * SMEs submit company details, beneficial owners and documents; admins review them
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import { authorize } from '../middleware/policy.js';
+import { uploadSingle } from '../middleware/upload.js';
+import { supabaseAdmin } from '../config/supabase.js';
+import { storageService } from '../services/storage.js';
+import { kybService, KYB_STATUSES, EDITABLE_STATUSES, DOCUMENT_TYPES } from '../services/kyb.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const logger = createLogger('KybAPI');
+
+const DOCUMENT_MAX_BYTES = 10 * 1024 * 1024;
+const DOCUMENT_MIME_TYPES = ['application/pdf', 'image/png', 'image/jpeg'];
+
+const COMPANY_FIELDS = [
+  'company_name',
+  'registration_number',
+  'incorporation_country',
+  'incorporation_date',
+  'business_address',
+  'industry',
+  'website'
+];
+
+function notEditable(res, application) {
+  return res.status(409).json({
+    success: false,
+    error: 'Application cannot be changed',
+    message: `KYB application is ${application.status}`
+  });
+}
+
+function sendError(res, error, message) {
+  logger.error(`${message}:`, error);
+  res.status(error.status || 500).json({
+    success: false,
+    error: message,
+    message: error.message
+  });
+}
+
+// ==================== SME: OWN APPLICATION ====================
+
+// GET /api/kyb/me
+router.get('/me', authorize('kyb:apply'), async (req, res) => {
+  try {
+    const application = await kybService.getApplication(req.user.id);
+
+    if (!application) {
+      return res.json({
+        success: true,
+        application: { status: 'not_started', beneficial_owners: [], documents: [], review_history: [] }
+      });
+    }
+
+    const details = await kybService.getDetails(application.id);
+    const missing = EDITABLE_STATUSES.includes(application.status)
+      ? await kybService.missingRequirements(application)
+      : [];
+
+    res.json({
+      success: true,
+      application: { ...application, ...details },
+      missing_requirements: missing
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch KYB application');
+  }
+});
+
+// PUT /api/kyb/me/company
+router.put('/me/company', authorize('kyb:apply'), async (req, res) => {
+  try {
+    const changes = Object.fromEntries(
+      COMPANY_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+    );
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: [`Provide at least one of: ${COMPANY_FIELDS.join(', ')}`]
+      });
+    }
+
+    if (changes.incorporation_country && !/^[A-Z]{2}$/.test(changes.incorporation_country)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: ['incorporation_country must be a 2-letter ISO code (e.g. NZ)']
+      });
+    }
+
+    const application = await kybService.getOrCreateApplication(req.user.id);
+
+    if (!EDITABLE_STATUSES.includes(application.status)) {
+      return notEditable(res, application);
+    }
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('kyb_applications')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', application.id)
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    res.json({ success: true, application: updated });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to update company details');
+  }
+});
+
+// PUT /api/kyb/me/owners - Replace the list of beneficial owners
+router.put('/me/owners', authorize('kyb:apply'), async (req, res) => {
+  try {
+    const { owners } = req.body;
+    const errors = [];
+
+    if (!Array.isArray(owners) || owners.length === 0) {
+      errors.push('owners must be a non-empty array');
+    } else {
+      owners.forEach((owner, index) => {
+        if (!owner.full_name) errors.push(`owners[${index}].full_name is required`);
+        const pct = parseFloat(owner.ownership_percentage);
+        if (isNaN(pct) || pct <= 0 || pct > 100) {
+          errors.push(`owners[${index}].ownership_percentage must be between 0 and 100`);
+        }
+      });
+
+      const total = owners.reduce((sum, owner) => sum + (parseFloat(owner.ownership_percentage) || 0), 0);
+      if (total > 100.01) errors.push('Total ownership cannot exceed 100%');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+    }
+
+    const application = await kybService.getOrCreateApplication(req.user.id);
+
+    if (!EDITABLE_STATUSES.includes(application.status)) {
+      return notEditable(res, application);
+    }
+
+    const { error: deleteError } = await supabaseAdmin
+      .from('kyb_beneficial_owners')
+      .delete()
+      .eq('application_id', application.id);
+
+    if (deleteError) throw new Error(deleteError.message);
+
+    const { data: saved, error } = await supabaseAdmin
+      .from('kyb_beneficial_owners')
+      .insert(owners.map(owner => ({
+        application_id: application.id,
+        full_name: owner.full_name,
+        date_of_birth: owner.date_of_birth || null,
+        nationality: owner.nationality || null,
+        ownership_percentage: parseFloat(owner.ownership_percentage),
+        is_director: Boolean(owner.is_director)
+      })))
+      .select();
+
+    if (error) throw new Error(error.message);
+
+    res.json({ success: true, beneficial_owners: saved });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to update beneficial owners');
+  }
+});
+
+// POST /api/kyb/me/documents - multipart field "document", body field "document_type"
+router.post(
+  '/me/documents',
+  authorize('kyb:apply'),
+  uploadSingle('document', { maxBytes: DOCUMENT_MAX_BYTES, allowedTypes: DOCUMENT_MIME_TYPES }),
+  async (req, res) => {
+    try {
+      const { document_type } = req.body;
+
+      if (!req.file || !DOCUMENT_TYPES.includes(document_type)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: [`A document file and document_type (${DOCUMENT_TYPES.join(', ')}) are required`]
+        });
+      }
+
+      const application = await kybService.getOrCreateApplication(req.user.id);
+
+      if (!EDITABLE_STATUSES.includes(application.status)) {
+        return notEditable(res, application);
+      }
+
+      const key = `kyb/${application.id}/${crypto.randomUUID()}`;
+      await storageService.put(key, req.file.buffer, { contentType: req.file.mimetype });
+
+      const { data: document, error } = await supabaseAdmin
+        .from('kyb_documents')
+        .insert({
+          application_id: application.id,
+          document_type,
+          storage_key: key,
+          filename: req.file.originalname,
+          content_type: req.file.mimetype,
+          size: req.file.size,
+          uploaded_at: new Date().toISOString()
+        })
+        .select('id, document_type, filename, content_type, size, uploaded_at')
+        .single();
+
+      if (error) {
+        await storageService.delete(key);
+        throw new Error(error.message);
+      }
+
+      logger.info(`KYB document ${document.id} (${document_type}) uploaded for application ${application.id}`);
+
+      res.status(201).json({ success: true, document });
+
+    } catch (error) {
+      sendError(res, error, 'Failed to upload document');
+    }
+  }
+);
+
+// DELETE /api/kyb/me/documents/:documentId
+router.delete('/me/documents/:documentId', authorize('kyb:apply'), async (req, res) => {
+  try {
+    const application = await kybService.getApplication(req.user.id);
+
+    if (!application) {
+      return res.status(404).json({ success: false, error: 'Document not found' });
+    }
+
+    if (!EDITABLE_STATUSES.includes(application.status)) {
+      return notEditable(res, application);
+    }
+
+    const { data: document, error } = await supabaseAdmin
+      .from('kyb_documents')
+      .delete()
+      .eq('id', req.params.documentId)
+      .eq('application_id', application.id)
+      .select('storage_key')
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+
+    if (!document) {
+      return res.status(404).json({ success: false, error: 'Document not found' });
+    }
+
+    await storageService.delete(document.storage_key);
+
+    res.json({ success: true, message: 'Document removed' });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to remove document');
+  }
+});
+
+// POST /api/kyb/me/submit
+router.post('/me/submit', authorize('kyb:apply'), async (req, res) => {
+  try {
+    const application = await kybService.getOrCreateApplication(req.user.id);
+
+    if (!EDITABLE_STATUSES.includes(application.status)) {
+      return notEditable(res, application);
+    }
+
+    const missing = await kybService.missingRequirements(application);
+
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Application incomplete',
+        details: missing
+      });
+    }
+
+    const updated = await kybService.transition(application, 'submitted', { actorId: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'KYB application submitted for review',
+      application: updated
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to submit KYB application');
+  }
+});
+
+// ==================== REVIEWERS ====================
+
+// GET /api/kyb/applications?status=submitted
+router.get('/applications', authorize('kyb:review'), async (req, res) => {
+  try {
+    const { status = 'submitted' } = req.query;
+
+    if (!KYB_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${KYB_STATUSES.join(', ')}` });
+    }
+
+    const { data: applications, error } = await supabaseAdmin
+      .from('kyb_applications')
+      .select('*')
+      .eq('status', status)
+      .order('submitted_at', { ascending: true });
+
+    if (error) throw new Error(error.message);
+
+    res.json({ success: true, applications: applications || [] });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch KYB applications');
+  }
+});
+
+async function loadApplication(req, res) {
+  const { data: application, error } = await supabaseAdmin
+    .from('kyb_applications')
+    .select('*')
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+
+  if (!application) {
+    res.status(404).json({ success: false, error: 'KYB application not found' });
+  }
+
+  return application;
+}
+
+// GET /api/kyb/applications/:id
+router.get('/applications/:id', authorize('kyb:review'), async (req, res) => {
+  try {
+    const application = await loadApplication(req, res);
+    if (!application) return;
+
+    const details = await kybService.getDetails(application.id);
+
+    res.json({ success: true, application: { ...application, ...details } });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch KYB application');
+  }
+});
+
+// GET /api/kyb/applications/:id/documents/:documentId
+router.get('/applications/:id/documents/:documentId', authorize('kyb:review'), async (req, res) => {
+  try {
+    const { data: document, error } = await supabaseAdmin
+      .from('kyb_documents')
+      .select('*')
+      .eq('id', req.params.documentId)
+      .eq('application_id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+
+    const file = document ? await storageService.get(document.storage_key) : null;
+
+    if (!file) {
+      return res.status(404).json({ success: false, error: 'Document not found' });
+    }
+
+    res.set('Content-Type', document.content_type);
+    res.attachment(document.filename);
+    res.send(file);
+
+  } catch (error) {
+    sendError(res, error, 'Failed to download document');
+  }
+});
+
+// POST /api/kyb/applications/:id/start-review
+router.post('/applications/:id/start-review', authorize('kyb:review'), async (req, res) => {
+  try {
+    const application = await loadApplication(req, res);
+    if (!application) return;
+
+    const updated = await kybService.transition(application, 'in_review', {
+      actorId: req.user.id,
+      notes: req.body.notes || null
+    });
+
+    res.json({ success: true, application: updated });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to start review');
+  }
+});
+
+// POST /api/kyb/applications/:id/approve
+router.post('/applications/:id/approve', authorize('kyb:review'), async (req, res) => {
+  try {
+    const application = await loadApplication(req, res);
+    if (!application) return;
+
+    const updated = await kybService.transition(application, 'approved', {
+      actorId: req.user.id,
+      notes: req.body.notes || null
+    });
+
+    res.json({ success: true, message: 'Business verified', application: updated });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to approve KYB application');
+  }
+});
+
+// POST /api/kyb/applications/:id/reject
+router.post('/applications/:id/reject', authorize('kyb:review'), async (req, res) => {
+  try {
+    const { notes } = req.body;
+
+    if (!notes) {
+      return res.status(400).json({ success: false, error: 'Reviewer notes are required when rejecting' });
+    }
+
+    const application = await loadApplication(req, res);
+    if (!application) return;
+
+    const updated = await kybService.transition(application, 'rejected', {
+      actorId: req.user.id,
+      notes
+    });
+
+    res.json({ success: true, message: 'KYB application rejected', application: updated });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to reject KYB application');
+  }
+});
+
+export default router;
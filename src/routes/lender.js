@@ -1,58 +1,35 @@
 import express from 'express';
 import { createClient } from '@supabase/supabase-js';
+import { authorize } from '../middleware/policy.js';
+import { requireStepUp, loanAboveApprovalThreshold } from '../middleware/stepUp.js';
+import { organizationService } from '../services/organizations.js';
+import { collateralService } from '../services/collateral.js';
+import { duplicateDetectionService, DUPLICATE_REVIEW_DECISIONS } from '../services/duplicateDetection.js';
+import { collateralWarnings } from '../services/collateralWarnings.js';
 
 const router = express.Router();
 
+// Loans that are still owed to the lender
+const REPAYABLE_STATUSES = ['approved', 'funded', 'active'];
+
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
 );
 
-// Middleware to authenticate requests
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
-  }
-
-  // Verify the token with Supabase
-  supabase.auth.getUser(token)
-    .then(({ data: { user }, error }) => {
-      if (error || !user) {
-        return res.status(403).json({ error: 'Invalid or expired token' });
-      }
-      req.user = user;
-      next();
-    })
-    .catch(err => {
-      console.error('Auth error:', err);
-      res.status(500).json({ error: 'Authentication failed' });
-    });
-};
-
 // GET /api/lender/stats - Get lender dashboard statistics
-router.get('/stats', authenticateToken, async (req, res) => {
+router.get('/stats', authorize('lender:access'), async (req, res) => {
   try {
-    const userId = req.user.id;
-
-    // Verify user is a lender
-    const { data: profile, error: profileError } = await supabase
-      .from('profiles')
-      .select('role')
-      .eq('id', userId)
-      .single();
-
-    if (profileError || !profile || profile.role !== 'lender') {
-      return res.status(403).json({ error: 'Access denied - lender role required' });
-    }
-
-    // Get all loans statistics
-    const { data: allLoans, error: loansError } = await supabase
+    // Get statistics for open requests and the lender's (or their organization's) loans
+    let statsQuery = supabase
       .from('loans')
       .select('status, amount_requested, amount');
 
+    const scope = await organizationService.lenderLoanFilter(req);
+    if (scope) statsQuery = statsQuery.or(scope);
+
+    const { data: allLoans, error: loansError } = await statsQuery;
+
     if (loansError) {
       console.error('Error fetching loans:', loansError);
       return res.status(500).json({ error: 'Failed to fetch statistics' });
@@ -83,27 +60,19 @@ router.get('/stats', authenticateToken, async (req, res) => {
 });
 
 // GET /api/lender/all-loans - Get all loan applications for lender review
-router.get('/all-loans', authenticateToken, async (req, res) => {
+router.get('/all-loans', authorize('lender:access'), async (req, res) => {
   try {
-    const userId = req.user.id;
-
-    // Verify user is a lender
-    const { data: profile, error: profileError } = await supabase
-      .from('profiles')
-      .select('role')
-      .eq('id', userId)
-      .single();
-
-    if (profileError || !profile || profile.role !== 'lender') {
-      return res.status(403).json({ error: 'Access denied - lender role required' });
-    }
-
-    // Fetch all loans first
-    const { data: loans, error: loansError } = await supabase
+    // Fetch all visible loans first
+    let loansQuery = supabase
       .from('loans')
       .select('*')
       .order('created_at', { ascending: false });
 
+    const scope = await organizationService.lenderLoanFilter(req);
+    if (scope) loansQuery = loansQuery.or(scope);
+
+    const { data: loans, error: loansError } = await loansQuery;
+
     if (loansError) {
       console.error('Error fetching loans:', loansError);
       return res.status(500).json({ error: 'Failed to fetch loans' });
@@ -114,7 +83,7 @@ router.get('/all-loans', authenticateToken, async (req, res) => {
       // Fetch SME profile - FIXED: Added company_name
       const { data: sme } = await supabase
         .from('profiles')
-        .select('id, name, phone, company_name')
+        .select('id, name, phone, company_name, kyb_status')
         .eq('id', loan.sme_id)
         .single();
 
@@ -123,7 +92,7 @@ router.get('/all-loans', authenticateToken, async (req, res) => {
       if (loan.asset_id) {
         const { data: assetData } = await supabase
           .from('assets')
-          .select('id, type, asset_name, description, verification_status, verified_at')
+          .select('id, type, asset_name, description, verification_status, verified_at, duplicate_status, verification_expires_at, previous_verification_status, verification_changed_at')
           .eq('id', loan.asset_id)
           .single();
         asset = assetData;
@@ -141,9 +110,13 @@ router.get('/all-loans', authenticateToken, async (req, res) => {
         asset_description: asset?.description || null,
         verification_status: asset?.verification_status || null,
         verified_at: asset?.verified_at || null,
+        verification_expires_at: asset?.verification_expires_at || null,
+        duplicate_status: asset?.duplicate_status || 'none',
+        collateral_warnings: collateralWarnings(asset, loan),
         sme_id: loan.sme_id,
         sme_name: sme?.name || null,
         sme_company: sme?.company_name || null,  // FIXED: Added company_name
+        sme_kyb_status: sme?.kyb_status || 'not_started',
         sme_phone: sme?.phone || null,
         created_at: loan.created_at,
         reviewed_at: loan.reviewed_at,
@@ -163,28 +136,20 @@ router.get('/all-loans', authenticateToken, async (req, res) => {
 });
 
 // GET /api/lender/loan/:id - Get specific loan details
-router.get('/loan/:id', authenticateToken, async (req, res) => {
+router.get('/loan/:id', authorize('lender:access'), async (req, res) => {
   try {
     const { id: loanId } = req.params;
-    const userId = req.user.id;
-
-    // Verify user is a lender
-    const { data: profile, error: profileError } = await supabase
-      .from('profiles')
-      .select('role')
-      .eq('id', userId)
-      .single();
-
-    if (profileError || !profile || profile.role !== 'lender') {
-      return res.status(403).json({ error: 'Access denied - lender role required' });
-    }
 
     // Fetch loan
-    const { data: loan, error: loanError } = await supabase
+    let loanQuery = supabase
       .from('loans')
       .select('*')
-      .eq('id', loanId)
-      .single();
+      .eq('id', loanId);
+
+    const scope = await organizationService.lenderLoanFilter(req);
+    if (scope) loanQuery = loanQuery.or(scope);
+
+    const { data: loan, error: loanError } = await loanQuery.single();
 
     if (loanError || !loan) {
       console.error('Error fetching loan:', loanError);
@@ -194,7 +159,7 @@ router.get('/loan/:id', authenticateToken, async (req, res) => {
     // Fetch SME profile - FIXED: Added company_name
     const { data: sme } = await supabase
       .from('profiles')
-      .select('id, name, phone, company_name')
+      .select('id, name, phone, company_name, kyb_status')
       .eq('id', loan.sme_id)
       .single();
 
@@ -203,7 +168,7 @@ router.get('/loan/:id', authenticateToken, async (req, res) => {
     if (loan.asset_id) {
       const { data: assetData } = await supabase
         .from('assets')
-        .select('id, type, asset_name, value, description, verification_status')
+        .select('id, type, asset_name, value, description, verification_status, duplicate_status, verification_expires_at, previous_verification_status, verification_changed_at')
         .eq('id', loan.asset_id)
         .single();
       asset = assetData;
@@ -220,10 +185,15 @@ router.get('/loan/:id', authenticateToken, async (req, res) => {
       asset_type: asset?.type || null,
       asset_name: asset?.asset_name || null,
       asset_value: asset?.value || null,
+      duplicate_status: asset?.duplicate_status || 'none',
+      verification_status: asset?.verification_status || null,
+      verification_expires_at: asset?.verification_expires_at || null,
+      collateral_warnings: collateralWarnings(asset, loan),
       purpose: loan.purpose,
       created_at: loan.created_at,
       sme_name: sme?.name || null,
       sme_company: sme?.company_name || null,  // FIXED: Added company_name
+      sme_kyb_status: sme?.kyb_status || 'not_started',
       sme_phone: sme?.phone || null
     };
 
@@ -236,97 +206,247 @@ router.get('/loan/:id', authenticateToken, async (req, res) => {
 });
 
 // POST /api/lender/loan/:id/approve - Approve a loan application
-router.post('/loan/:id/approve', authenticateToken, async (req, res) => {
-  try {
-    const { id: loanId } = req.params;
-    const { approval_conditions } = req.body;
-    const userId = req.user.id;
+router.post(
+  '/loan/:id/approve',
+  authorize('lender:decide'),
+  requireStepUp('approve this loan', loanAboveApprovalThreshold('id')),
+  async (req, res) => {
+    try {
+      const { id: loanId } = req.params;
+      const { approval_conditions } = req.body;
+      const userId = req.user.id;
+      const lenderOrgId = await organizationService.resolveActiveOrg(req, 'lender');
+
+      // Update loan status to approved
+      const { data: loan, error: updateError } = await supabase
+        .from('loans')
+        .update({
+          status: 'approved',
+          lender_id: userId,
+          lender_org_id: lenderOrgId,
+          approval_conditions: approval_conditions || null,
+          reviewed_at: new Date().toISOString()
+        })
+        .eq('id', loanId)
+        .eq('status', 'requested')
+        .select()
+        .maybeSingle();
+
+      if (updateError) {
+        console.error('Error approving loan:', updateError);
+        return res.status(500).json({ error: 'Failed to approve loan' });
+      }
 
-    // Verify user is a lender
-    const { data: profile, error: profileError } = await supabase
-      .from('profiles')
-      .select('role')
-      .eq('id', userId)
-      .single();
+      // Already decided, cancelled or unknown: its collateral must not be pledged again
+      if (!loan) {
+        return res.status(409).json({ error: 'Loan is not pending approval' });
+      }
+
+      await collateralService.markPledged(loan.asset_id, { actorId: userId });
+
+      res.json({
+        success: true,
+        message: 'Loan approved successfully',
+        loan
+      });
 
-    if (profileError || !profile || profile.role !== 'lender') {
-      return res.status(403).json({ error: 'Access denied - lender role required' });
+    } catch (error) {
+      console.error('Error in approve endpoint:', error);
+      res.status(error.status || 500).json({ error: error.status ? error.message : 'Internal server error' });
     }
+  }
+);
+
+// POST /api/lender/loan/:id/reject - Reject a loan application
+router.post('/loan/:id/reject', authorize('lender:decide'), async (req, res) => {
+  try {
+    const { id: loanId } = req.params;
+    const { rejection_reason } = req.body;
+    const userId = req.user.id;
+    const lenderOrgId = await organizationService.resolveActiveOrg(req, 'lender');
 
-    // Update loan status to approved
+    // Update loan status to rejected
     const { data: loan, error: updateError } = await supabase
       .from('loans')
       .update({
-        status: 'approved',
+        status: 'rejected',
         lender_id: userId,
-        approval_conditions: approval_conditions || null,
+        lender_org_id: lenderOrgId,
+        lender_notes: rejection_reason || null,
         reviewed_at: new Date().toISOString()
       })
       .eq('id', loanId)
+      .eq('status', 'requested')
       .select()
-      .single();
+      .maybeSingle();
 
     if (updateError) {
-      console.error('Error approving loan:', updateError);
-      return res.status(500).json({ error: 'Failed to approve loan' });
+      console.error('Error rejecting loan:', updateError);
+      return res.status(500).json({ error: 'Failed to reject loan' });
+    }
+
+    // An approved or funded loan holds a live pledge that rejecting must not release
+    if (!loan) {
+      return res.status(409).json({ error: 'Loan is not pending approval' });
     }
 
+    await collateralService.release(loanId, { reason: 'rejected', actorId: userId });
+
     res.json({
       success: true,
-      message: 'Loan approved successfully',
+      message: 'Loan rejected',
       loan
     });
 
   } catch (error) {
-    console.error('Error in approve endpoint:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Error in reject endpoint:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Internal server error' });
   }
 });
 
-// POST /api/lender/loan/:id/reject - Reject a loan application
-router.post('/loan/:id/reject', authenticateToken, async (req, res) => {
+// POST /api/lender/loan/:id/repaid - Record full repayment and release the collateral
+router.post('/loan/:id/repaid', authorize('lender:decide'), async (req, res) => {
   try {
     const { id: loanId } = req.params;
-    const { rejection_reason } = req.body;
     const userId = req.user.id;
 
-    // Verify user is a lender
-    const { data: profile, error: profileError } = await supabase
-      .from('profiles')
-      .select('role')
-      .eq('id', userId)
-      .single();
+    const { data: loan, error: fetchError } = await supabase
+      .from('loans')
+      .select('id, status, lender_id, lender_org_id')
+      .eq('id', loanId)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+
+    if (!loan) {
+      return res.status(404).json({ error: 'Loan not found' });
+    }
 
-    if (profileError || !profile || profile.role !== 'lender') {
-      return res.status(403).json({ error: 'Access denied - lender role required' });
+    const isLender = loan.lender_id === userId ||
+      await organizationService.isMember(req, loan.lender_org_id, 'approver');
+
+    if (!isLender && req.profile.role !== 'admin') {
+      return res.status(403).json({ error: 'Only the lender on this loan can record repayment' });
     }
 
-    // Update loan status to rejected
-    const { data: loan, error: updateError } = await supabase
+    if (!REPAYABLE_STATUSES.includes(loan.status)) {
+      return res.status(409).json({ error: 'Loan is not outstanding', currentStatus: loan.status });
+    }
+
+    const { data: updatedLoan, error: updateError } = await supabase
       .from('loans')
-      .update({
-        status: 'rejected',
-        lender_id: userId,
-        lender_notes: rejection_reason || null,
-        reviewed_at: new Date().toISOString()
-      })
+      .update({ status: 'repaid', repaid_at: new Date().toISOString() })
       .eq('id', loanId)
+      .eq('status', loan.status)
       .select()
-      .single();
+      .maybeSingle();
 
-    if (updateError) {
-      console.error('Error rejecting loan:', updateError);
-      return res.status(500).json({ error: 'Failed to reject loan' });
+    if (updateError) throw updateError;
+
+    if (!updatedLoan) {
+      return res.status(409).json({ error: 'Loan status changed; try again' });
     }
 
+    await supabase.from('loan_status_history').insert({
+      loan_id: loanId,
+      old_status: loan.status,
+      new_status: 'repaid',
+      changed_by: userId,
+      notes: req.body.notes || null
+    });
+
+    await collateralService.release(loanId, { reason: 'repaid', actorId: userId });
+
     res.json({
       success: true,
-      message: 'Loan rejected',
-      loan
+      message: 'Loan marked as repaid',
+      loan: updatedLoan
     });
 
   } catch (error) {
-    console.error('Error in reject endpoint:', error);
+    console.error('Error in repaid endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/lender/flagged-assets - Possible duplicates backing loans the lender can see
+router.get('/flagged-assets', authorize('lender:access'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    let assetIds = null;
+    let loansByAsset = {};
+
+    const scope = await organizationService.lenderLoanFilter(req);
+    if (scope) {
+      const { data: loans, error: loansError } = await supabase
+        .from('loans')
+        .select('id, asset_id, status')
+        .not('asset_id', 'is', null)
+        .or(scope);
+
+      if (loansError) throw loansError;
+
+      loansByAsset = (loans || []).reduce((acc, loan) => {
+        (acc[loan.asset_id] ||= []).push({ loan_id: loan.id, status: loan.status });
+        return acc;
+      }, {});
+      assetIds = Object.keys(loansByAsset);
+
+      if (assetIds.length === 0) {
+        return res.json({ success: true, assets: [], total: 0, limit, offset });
+      }
+    }
+
+    const { assets, total } = await duplicateDetectionService.flagged({ assetIds, limit, offset });
+
+    res.json({
+      success: true,
+      assets: assets.map(asset => ({ ...asset, loans: loansByAsset[asset.id] || [] })),
+      total,
+      limit,
+      offset
+    });
+
+  } catch (error) {
+    console.error('Error fetching flagged assets:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/lender/flagged-assets/:assetId/review - Dismiss or confirm a duplicate flag
+router.post('/flagged-assets/:assetId/review', authorize('lender:duplicate_review'), async (req, res) => {
+  try {
+    const { decision, notes } = req.body;
+
+    if (!DUPLICATE_REVIEW_DECISIONS.includes(decision) || !notes?.trim()) {
+      return res.status(400).json({
+        error: `decision must be one of: ${DUPLICATE_REVIEW_DECISIONS.join(', ')}, with notes`
+      });
+    }
+
+    const asset = await duplicateDetectionService.review(req.resource, {
+      decision,
+      notes: notes.trim(),
+      reviewerId: req.user.id
+    });
+
+    if (!asset) {
+      return res.status(409).json({
+        error: 'Asset is not flagged for review',
+        currentStatus: req.resource.duplicate_status || 'none'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: decision === 'confirmed' ? 'Asset confirmed as a duplicate' : 'Duplicate flag dismissed',
+      asset
+    });
+
+  } catch (error) {
+    console.error('Error reviewing flagged asset:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -1,38 +1,24 @@
 import express from 'express';
 import { createClient } from '@supabase/supabase-js';
+import { authenticate } from '../middleware/auth.js';
+import { authorize } from '../middleware/policy.js';
+import { requireApprovedKyb } from '../middleware/kyb.js';
+import { organizationService } from '../services/organizations.js';
+import { collateralService, PLEDGEABLE_STATUSES } from '../services/collateral.js';
+import { isPastDue } from '../utils/aging.js';
 
 const router = express.Router();
 
+// Loans the SME may still withdraw; funded loans have to be repaid instead
+const CANCELLABLE_STATUSES = ['requested', 'approved'];
+
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
 );
 
-// Middleware to authenticate requests
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
-  }
-
-  supabase.auth.getUser(token)
-    .then(({ data: { user }, error }) => {
-      if (error || !user) {
-        return res.status(403).json({ error: 'Invalid or expired token' });
-      }
-      req.user = user;
-      next();
-    })
-    .catch(err => {
-      console.error('Auth error:', err);
-      res.status(500).json({ error: 'Authentication failed' });
-    });
-};
-
 // POST /api/loans/request - Create a new loan request
-router.post('/request', authenticateToken, async (req, res) => {
+router.post('/request', authorize('loans:request'), requireApprovedKyb, async (req, res) => {
   try {
     const userId = req.user.id;
     const { asset_id, amount, term_months, purpose } = req.body;
@@ -45,15 +31,23 @@ router.post('/request', authenticateToken, async (req, res) => {
       });
     }
 
-    // Verify the asset belongs to the user
+    if (!Number.isFinite(Number(amount)) || Number(amount) <= 0) {
+      return res.status(400).json({ error: 'amount must be a positive number' });
+    }
+
+    // Verify the asset belongs to the user, or to an organization they can act for
     const { data: asset, error: assetError } = await supabase
       .from('assets')
       .select('*')
       .eq('id', asset_id)
-      .eq('user_id', userId)
       .single();
 
-    if (assetError || !asset) {
+    const canUseAsset = asset && (
+      asset.user_id === userId ||
+      await organizationService.isMember(req, asset.org_id, 'approver')
+    );
+
+    if (assetError || !canUseAsset) {
       return res.status(404).json({ error: 'Asset not found or does not belong to you' });
     }
 
@@ -61,11 +55,38 @@ router.post('/request', authenticateToken, async (req, res) => {
     // Assets can now request loans immediately after creation
     // Verification happens separately via the "Verify" button in SME Assets page
 
+    if (!PLEDGEABLE_STATUSES.includes(asset.status)) {
+      return res.status(409).json({
+        error: 'Asset cannot be used as collateral',
+        message: `Asset is ${asset.status}`
+      });
+    }
+
+    // Expiry runs on a schedule, so also catch assets that fell due since the last run
+    if (isPastDue(asset)) {
+      return res.status(409).json({
+        error: 'Asset cannot be used as collateral',
+        message: `Asset expired: it was due on ${asset.due_date}`
+      });
+    }
+
+    // Only the unpledged part of the asset's value can back a new loan
+    const available = await collateralService.availableValue(asset);
+
+    if (Number(amount) > available) {
+      return res.status(409).json({
+        error: 'Insufficient collateral',
+        message: `Requested amount exceeds the asset's unpledged value of ${available}`,
+        available_value: available
+      });
+    }
+
     // Create the loan
     const { data: loan, error: loanError } = await supabase
       .from('loans')
       .insert({
         sme_id: userId,
+        org_id: asset.org_id || null,
         asset_id: asset_id,
         amount_requested: amount,
         amount: amount,
@@ -84,10 +105,26 @@ router.post('/request', authenticateToken, async (req, res) => {
       return res.status(500).json({ error: 'Failed to create loan request' });
     }
 
+    let encumbrance;
+    try {
+      encumbrance = await collateralService.pledge({ asset, loanId: loan.id, amount });
+    } catch (pledgeError) {
+      await supabase.from('loans').delete().eq('id', loan.id);
+      if (pledgeError.status === 409) {
+        return res.status(409).json({
+          error: 'Insufficient collateral',
+          message: pledgeError.message,
+          available_value: pledgeError.available
+        });
+      }
+      throw pledgeError;
+    }
+
     res.json({
       success: true,
       message: 'Loan request created successfully',
-      loan
+      loan,
+      encumbrance
     });
 
   } catch (error) {
@@ -96,16 +133,14 @@ router.post('/request', authenticateToken, async (req, res) => {
   }
 });
 
-// GET /api/loans/sme/my-loans - Get all loans for the authenticated SME (NEW ENDPOINT)
-router.get('/sme/my-loans', authenticateToken, async (req, res) => {
+// GET /api/loans/sme/my-loans - Get all loans for the authenticated SME and their organizations
+router.get('/sme/my-loans', authenticate, async (req, res) => {
   try {
-    const smeId = req.user.id;
-
     // Fetch all loans for this SME
     const { data: loans, error } = await supabase
       .from('loans')
       .select('*')
-      .eq('sme_id', smeId)
+      .or(await organizationService.ownershipFilter(req, 'sme_id'))
       .order('created_at', { ascending: false });
 
     if (error) {
@@ -135,29 +170,59 @@ router.get('/sme/my-loans', authenticateToken, async (req, res) => {
   }
 });
 
-// GET /api/loans/:loanId - Get specific loan details (for SME viewing their own loan)
-router.get('/:loanId', authenticateToken, async (req, res) => {
+// POST /api/loans/:loanId/cancel - Withdraw a loan request before it is funded
+router.post('/:loanId/cancel', authorize('loans:manage'), async (req, res) => {
   try {
-    const { loanId } = req.params;
-    const userId = req.user.id;
+    const loan = req.resource;
 
-    // Fetch the loan
-    const { data: loan, error: loanError } = await supabase
+    if (!CANCELLABLE_STATUSES.includes(loan.status)) {
+      return res.status(409).json({
+        error: 'Loan cannot be cancelled',
+        currentStatus: loan.status
+      });
+    }
+
+    const { data: updatedLoan, error } = await supabase
       .from('loans')
-      .select('*')
-      .eq('id', loanId)
-      .single();
+      .update({ status: 'cancelled', cancelled_at: new Date().toISOString() })
+      .eq('id', loan.id)
+      .eq('status', loan.status)
+      .select()
+      .maybeSingle();
 
-    if (loanError || !loan) {
-      console.error('Error fetching loan:', loanError);
-      return res.status(404).json({ error: 'Loan not found' });
-    }
+    if (error) throw error;
 
-    // Verify ownership
-    if (loan.sme_id !== userId) {
-      return res.status(403).json({ error: 'Access denied' });
+    if (!updatedLoan) {
+      return res.status(409).json({ error: 'Loan status changed; try again' });
     }
 
+    await supabase.from('loan_status_history').insert({
+      loan_id: loan.id,
+      old_status: loan.status,
+      new_status: 'cancelled',
+      changed_by: req.user.id,
+      notes: req.body.reason || null
+    });
+
+    await collateralService.release(loan.id, { reason: 'cancelled', actorId: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Loan request cancelled',
+      loan: updatedLoan
+    });
+
+  } catch (error) {
+    console.error('Error cancelling loan:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/loans/:loanId - Get specific loan details (SME owner, assigned lender or admin)
+router.get('/:loanId', authorize('loans:read'), async (req, res) => {
+  try {
+    const loan = req.resource;
+
     // Fetch asset details if exists
     let asset = null;
     if (loan.asset_id) {
@@ -3,7 +3,7 @@
  */
 
 import express from 'express';
-import { authenticate } from '../middleware/auth.js';
+import { authorize } from '../middleware/policy.js';
 import { supabaseAdmin } from '../config/supabase.js';
 import { createLogger } from '../utils/logger.js';
 
@@ -12,7 +12,7 @@ const logger = createLogger('MilestonesAPI');
 
 // ==================== SUBMIT MILESTONE ====================
 // POST /api/milestones/:id/submit
-router.post('/:id/submit', authenticate, async (req, res) => {
+router.post('/:id/submit', authorize('milestone:submit'), async (req, res) => {
   try {
     const { id } = req.params;
     const { evidence_description, evidence_url } = req.body;
@@ -24,20 +24,7 @@ router.post('/:id/submit', authenticate, async (req, res) => {
       return res.status(503).json({ success: false, error: 'Service not configured' });
     }
 
-    // Get milestone and check access
-    const { data: milestone, error: fetchError } = await supabaseAdmin
-      .from('escrow_milestones')
-      .select('*, escrows(sme_id)')
-      .eq('id', id)
-      .single();
-
-    if (fetchError || !milestone) {
-      return res.status(404).json({ success: false, error: 'Milestone not found' });
-    }
-
-    if (milestone.escrows.sme_id !== smeId) {
-      return res.status(403).json({ success: false, error: 'Access denied' });
-    }
+    const milestone = req.resource;
 
     if (milestone.status !== 'pending' && milestone.status !== 'rejected') {
       return res.status(400).json({ success: false, error: 'Milestone already submitted' });
@@ -85,7 +72,7 @@ router.post('/:id/submit', authenticate, async (req, res) => {
 
 // ==================== APPROVE MILESTONE ====================
 // POST /api/milestones/:id/approve
-router.post('/:id/approve', authenticate, async (req, res) => {
+router.post('/:id/approve', authorize('milestone:review'), async (req, res) => {
   try {
     const { id } = req.params;
     const customerId = req.user.id;
@@ -96,20 +83,7 @@ router.post('/:id/approve', authenticate, async (req, res) => {
       return res.status(503).json({ success: false, error: 'Service not configured' });
     }
 
-    // Get milestone and escrow
-    const { data: milestone, error: fetchError } = await supabaseAdmin
-      .from('escrow_milestones')
-      .select('*, escrows(customer_id, released_amount)')
-      .eq('id', id)
-      .single();
-
-    if (fetchError || !milestone) {
-      return res.status(404).json({ success: false, error: 'Milestone not found' });
-    }
-
-    if (milestone.escrows.customer_id !== customerId) {
-      return res.status(403).json({ success: false, error: 'Access denied' });
-    }
+    const milestone = req.resource;
 
     if (milestone.status !== 'submitted') {
       return res.status(400).json({ success: false, error: 'Milestone not ready for approval' });
@@ -169,7 +143,7 @@ router.post('/:id/approve', authenticate, async (req, res) => {
 
 // ==================== REJECT MILESTONE ====================
 // POST /api/milestones/:id/reject
-router.post('/:id/reject', authenticate, async (req, res) => {
+router.post('/:id/reject', authorize('milestone:review'), async (req, res) => {
   try {
     const { id } = req.params;
     const { rejection_reason } = req.body;
@@ -183,20 +157,7 @@ router.post('/:id/reject', authenticate, async (req, res) => {
       return res.status(503).json({ success: false, error: 'Service not configured' });
     }
 
-    // Get milestone
-    const { data: milestone, error: fetchError } = await supabaseAdmin
-      .from('escrow_milestones')
-      .select('*, escrows(customer_id)')
-      .eq('id', id)
-      .single();
-
-    if (fetchError || !milestone) {
-      return res.status(404).json({ success: false, error: 'Milestone not found' });
-    }
-
-    if (milestone.escrows.customer_id !== customerId) {
-      return res.status(403).json({ success: false, error: 'Access denied' });
-    }
+    const milestone = req.resource;
 
     // Update milestone
     const { error: updateError } = await supabaseAdmin
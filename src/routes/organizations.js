@@ -0,0 +1,309 @@
+/**
+ * Organization Routes
+ * SME and lender firms, their members and membership invitations
+ */
+
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { authorize, loadProfile } from '../middleware/policy.js';
+import { supabaseAdmin } from '../config/supabase.js';
+import { organizationService, ORG_TYPES, ORG_ROLES } from '../services/organizations.js';
+import { mailerService } from '../services/mailer.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const logger = createLogger('OrganizationsAPI');
+
+function sendError(res, error, message) {
+  logger.error(`${message}:`, error);
+  res.status(error.status || 500).json({
+    success: false,
+    error: message,
+    message: error.message
+  });
+}
+
+// POST /api/organizations
+router.post('/', authenticate, loadProfile, async (req, res) => {
+  try {
+    const { name } = req.body;
+    const type = req.body.type || req.profile.role;
+
+    if (!name || name.trim().length < 2) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: ['name must be at least 2 characters'] });
+    }
+
+    if (!ORG_TYPES.includes(type) || type !== req.profile.role) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: [`type must match your account role and be one of: ${ORG_TYPES.join(', ')}`]
+      });
+    }
+
+    const organization = await organizationService.create({
+      name: name.trim(),
+      type,
+      userId: req.user.id
+    });
+
+    logger.info(`User ${req.user.id} created ${type} organization ${organization.id}`);
+
+    res.status(201).json({
+      success: true,
+      organization: { ...organization, role: 'owner' }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to create organization');
+  }
+});
+
+// GET /api/organizations - Organizations the caller belongs to
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const memberships = await organizationService.getMemberships(req);
+
+    res.json({
+      success: true,
+      organizations: memberships.map(m => ({ ...m.organizations, role: m.role }))
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch organizations');
+  }
+});
+
+// GET /api/organizations/invitations/token/:token - View an invitation (no auth)
+router.get('/invitations/token/:token', async (req, res) => {
+  try {
+    if (!supabaseAdmin) {
+      return res.status(503).json({ success: false, error: 'Service not configured' });
+    }
+
+    const invitation = await organizationService.findInvitation(req.params.token);
+
+    if (!invitation) {
+      return res.status(404).json({ success: false, error: 'Invitation not found or expired' });
+    }
+
+    res.json({
+      success: true,
+      invitation: {
+        organization: invitation.organizations,
+        email: invitation.email,
+        role: invitation.role,
+        expires_at: invitation.expires_at
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch invitation');
+  }
+});
+
+// POST /api/organizations/invitations/accept/:token
+router.post('/invitations/accept/:token', authenticate, loadProfile, async (req, res) => {
+  try {
+    const invitation = await organizationService.findInvitation(req.params.token);
+
+    if (!invitation) {
+      return res.status(404).json({ success: false, error: 'Invitation not found or expired' });
+    }
+
+    if (invitation.email !== req.user.email?.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        error: 'This invitation was sent to a different email address'
+      });
+    }
+
+    if (invitation.organizations.type !== req.profile.role) {
+      return res.status(403).json({
+        success: false,
+        error: 'Account role does not match organization',
+        message: `Only ${invitation.organizations.type} accounts can join this organization`
+      });
+    }
+
+    await organizationService.acceptInvitation(invitation, req.user.id);
+
+    logger.info(`User ${req.user.id} joined organization ${invitation.org_id} as ${invitation.role}`);
+
+    res.json({
+      success: true,
+      message: `You joined ${invitation.organizations.name}`,
+      organization: { ...invitation.organizations, role: invitation.role }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to accept invitation');
+  }
+});
+
+// GET /api/organizations/:id
+router.get('/:id', authorize('orgs:read'), async (req, res) => {
+  try {
+    const { data: members, error } = await supabaseAdmin
+      .from('organization_members')
+      .select('user_id, role, created_at, profiles(name, email)')
+      .eq('org_id', req.params.id)
+      .order('created_at', { ascending: true });
+
+    if (error) throw new Error(error.message);
+
+    res.json({
+      success: true,
+      organization: {
+        ...req.resource,
+        members: (members || []).map(m => ({
+          user_id: m.user_id,
+          role: m.role,
+          name: m.profiles?.name || null,
+          email: m.profiles?.email || null,
+          joined_at: m.created_at
+        }))
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch organization');
+  }
+});
+
+// POST /api/organizations/:id/invitations
+router.post('/:id/invitations', authorize('orgs:manage'), async (req, res) => {
+  try {
+    const { email, role = 'viewer' } = req.body;
+
+    if (!email || !ORG_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: [`email is required and role must be one of: ${ORG_ROLES.join(', ')}`]
+      });
+    }
+
+    const { invitation, token } = await organizationService.createInvitation({
+      orgId: req.params.id,
+      email,
+      role,
+      invitedBy: req.user.id
+    });
+
+    const inviteLink = `${process.env.FRONTEND_URL}/organizations/join/${token}`;
+
+    await mailerService.send({
+      to: invitation.email,
+      subject: `You have been invited to join ${req.resource.name} on GoodFi`,
+      text: [
+        `You have been invited to join ${req.resource.name} on GoodFi as ${role}.`,
+        `Accept the invitation here: ${inviteLink}`,
+        '',
+        `This invitation expires on ${invitation.expires_at}.`
+      ].join('\n')
+    });
+
+    logger.info(`Organization ${req.params.id}: ${req.user.id} invited ${invitation.email} as ${role}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent',
+      invitation,
+      invite_link: inviteLink
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to create invitation');
+  }
+});
+
+// PATCH /api/organizations/:id/members/:userId
+router.patch('/:id/members/:userId', authorize('orgs:manage'), async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    const { role } = req.body;
+
+    if (!ORG_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `role must be one of: ${ORG_ROLES.join(', ')}` });
+    }
+
+    const { data: member, error: fetchError } = await supabaseAdmin
+      .from('organization_members')
+      .select('role')
+      .eq('org_id', id)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (fetchError) throw new Error(fetchError.message);
+
+    if (!member) {
+      return res.status(404).json({ success: false, error: 'Member not found' });
+    }
+
+    if (member.role === 'owner' && role !== 'owner' && await organizationService.countOwners(id) <= 1) {
+      return res.status(409).json({ success: false, error: 'An organization must keep at least one owner' });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('organization_members')
+      .update({ role })
+      .eq('org_id', id)
+      .eq('user_id', userId);
+
+    if (error) throw new Error(error.message);
+
+    logger.info(`Organization ${id}: member ${userId} ${member.role} -> ${role} by ${req.user.id}`);
+
+    res.json({ success: true, message: 'Member role updated', member: { user_id: userId, role } });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to update member');
+  }
+});
+
+// DELETE /api/organizations/:id/members/:userId - Owners remove members; anyone may leave
+router.delete('/:id/members/:userId', authorize('orgs:read'), async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    const isSelf = userId === req.user.id;
+
+    if (!isSelf && !await organizationService.isMember(req, id, 'owner')) {
+      return res.status(403).json({ success: false, error: 'Access denied', message: 'Only owners can remove members' });
+    }
+
+    const { data: member, error: fetchError } = await supabaseAdmin
+      .from('organization_members')
+      .select('role')
+      .eq('org_id', id)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (fetchError) throw new Error(fetchError.message);
+
+    if (!member) {
+      return res.status(404).json({ success: false, error: 'Member not found' });
+    }
+
+    if (member.role === 'owner' && await organizationService.countOwners(id) <= 1) {
+      return res.status(409).json({ success: false, error: 'An organization must keep at least one owner' });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('organization_members')
+      .delete()
+      .eq('org_id', id)
+      .eq('user_id', userId);
+
+    if (error) throw new Error(error.message);
+
+    logger.info(`Organization ${id}: member ${userId} removed by ${req.user.id}`);
+
+    res.json({ success: true, message: isSelf ? 'You left the organization' : 'Member removed' });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to remove member');
+  }
+});
+
+export default router;
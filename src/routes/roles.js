@@ -0,0 +1,416 @@
+/**
+ * Role Management Routes
+ * Elevated roles (lender, admin) come from admin invitations or an approval queue
+ */
+
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { authorize } from '../middleware/policy.js';
+import { requireStepUp } from '../middleware/stepUp.js';
+import { supabaseAdmin } from '../config/supabase.js';
+import { ELEVATED_ROLES } from '../config/roles.js';
+import { roleService } from '../services/roles.js';
+import { mailerService } from '../services/mailer.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const logger = createLogger('RolesAPI');
+
+// ==================== INVITATIONS ====================
+
+// POST /api/roles/invitations
+router.post('/invitations', authorize('roles:manage'), requireStepUp('change user roles'), async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    if (!email || !ELEVATED_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: [`email is required and role must be one of: ${ELEVATED_ROLES.join(', ')}`]
+      });
+    }
+
+    const { invitation, token } = await roleService.createInvitation({
+      email,
+      role,
+      invitedBy: req.user.id
+    });
+
+    const inviteLink = `${process.env.FRONTEND_URL}/register?invite=${token}`;
+
+    await mailerService.send({
+      to: invitation.email,
+      subject: `You have been invited to GoodFi as a ${role}`,
+      text: [
+        `You have been invited to join GoodFi with the ${role} role.`,
+        `Accept the invitation here: ${inviteLink}`,
+        '',
+        `This invitation expires on ${invitation.expires_at}.`
+      ].join('\n')
+    });
+
+    logger.info(`Admin ${req.user.id} invited ${invitation.email} as ${role}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent',
+      invitation,
+      invite_link: inviteLink
+    });
+
+  } catch (error) {
+    logger.error('Failed to create invitation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create invitation',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/roles/invitations
+router.get('/invitations', authorize('roles:manage'), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    let query = supabaseAdmin
+      .from('role_invitations')
+      .select('id, email, role, status, invited_by, accepted_by, accepted_at, expires_at, created_at')
+      .order('created_at', { ascending: false });
+
+    if (status) query = query.eq('status', status);
+
+    const { data: invitations, error } = await query;
+
+    if (error) throw new Error(error.message);
+
+    res.json({
+      success: true,
+      invitations: invitations || []
+    });
+
+  } catch (error) {
+    logger.error('Failed to list invitations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invitations',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/roles/invitations/:id
+router.delete('/invitations/:id', authorize('roles:manage'), async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('role_invitations')
+      .update({ status: 'revoked' })
+      .eq('id', req.params.id)
+      .eq('status', 'pending')
+      .select('id');
+
+    if (error) throw new Error(error.message);
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ success: false, error: 'Pending invitation not found' });
+    }
+
+    logger.info(`Admin ${req.user.id} revoked invitation ${req.params.id}`);
+
+    res.json({ success: true, message: 'Invitation revoked' });
+
+  } catch (error) {
+    logger.error('Failed to revoke invitation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke invitation',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/roles/invitations/token/:token - View an invitation (no auth, for the register page)
+router.get('/invitations/token/:token', async (req, res) => {
+  try {
+    if (!supabaseAdmin) {
+      return res.status(503).json({ success: false, error: 'Service not configured' });
+    }
+
+    const invitation = await roleService.findInvitation(req.params.token);
+
+    if (!invitation) {
+      return res.status(404).json({ success: false, error: 'Invitation not found or expired' });
+    }
+
+    res.json({
+      success: true,
+      invitation: {
+        email: invitation.email,
+        role: invitation.role,
+        expires_at: invitation.expires_at
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to get invitation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invitation',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/roles/invitations/accept/:token - Existing user accepts an invitation
+router.post('/invitations/accept/:token', authenticate, async (req, res) => {
+  try {
+    const invitation = await roleService.findInvitation(req.params.token);
+
+    if (!invitation) {
+      return res.status(404).json({ success: false, error: 'Invitation not found or expired' });
+    }
+
+    if (invitation.email !== req.user.email?.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        error: 'This invitation was sent to a different email address'
+      });
+    }
+
+    await roleService.acceptInvitation(invitation, req.user.id);
+
+    res.json({
+      success: true,
+      message: `Invitation accepted. Your role is now ${invitation.role}.`,
+      role: invitation.role
+    });
+
+  } catch (error) {
+    logger.error('Failed to accept invitation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to accept invitation',
+      message: error.message
+    });
+  }
+});
+
+// ==================== ROLE REQUESTS ====================
+
+// POST /api/roles/requests - Ask an admin for an elevated role
+router.post('/requests', authenticate, async (req, res) => {
+  try {
+    const { role, reason } = req.body;
+
+    if (!ELEVATED_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `role must be one of: ${ELEVATED_ROLES.join(', ')}`
+      });
+    }
+
+    if (!supabaseAdmin) {
+      return res.status(503).json({ success: false, error: 'Service not configured' });
+    }
+
+    const { data: existing } = await supabaseAdmin
+      .from('role_requests')
+      .select('id')
+      .eq('user_id', req.user.id)
+      .eq('status', 'pending')
+      .maybeSingle();
+
+    if (existing) {
+      return res.status(409).json({ success: false, error: 'You already have a pending role request' });
+    }
+
+    const { data: request, error } = await supabaseAdmin
+      .from('role_requests')
+      .insert({
+        user_id: req.user.id,
+        role,
+        reason: reason || null,
+        status: 'pending',
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    logger.info(`User ${req.user.id} requested role ${role}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Role request submitted for admin approval',
+      request
+    });
+
+  } catch (error) {
+    logger.error('Failed to create role request:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create role request',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/roles/requests?status=pending
+router.get('/requests', authorize('roles:manage'), async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+
+    const { data: requests, error } = await supabaseAdmin
+      .from('role_requests')
+      .select('*')
+      .eq('status', status)
+      .order('created_at', { ascending: true });
+
+    if (error) throw new Error(error.message);
+
+    res.json({
+      success: true,
+      requests: requests || []
+    });
+
+  } catch (error) {
+    logger.error('Failed to list role requests:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch role requests',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/roles/requests/:id/approve
+router.post('/requests/:id/approve', authorize('roles:manage'), requireStepUp('change user roles'), async (req, res) => {
+  try {
+    const { notes } = req.body;
+
+    const { data: request, error } = await supabaseAdmin
+      .from('role_requests')
+      .update({
+        status: 'approved',
+        reviewed_by: req.user.id,
+        reviewed_at: new Date().toISOString(),
+        review_notes: notes || null
+      })
+      .eq('id', req.params.id)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+
+    if (!request) {
+      return res.status(404).json({ success: false, error: 'Pending request not found' });
+    }
+
+    await roleService.grantRole({
+      userId: request.user_id,
+      role: request.role,
+      grantedBy: req.user.id,
+      source: 'approval',
+      sourceId: request.id,
+      reason: notes || null
+    });
+
+    res.json({
+      success: true,
+      message: `Role ${request.role} granted`,
+      request
+    });
+
+  } catch (error) {
+    logger.error('Failed to approve role request:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve role request',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/roles/requests/:id/reject
+router.post('/requests/:id/reject', authorize('roles:manage'), async (req, res) => {
+  try {
+    const { notes } = req.body;
+
+    if (!notes) {
+      return res.status(400).json({ success: false, error: 'Rejection notes required' });
+    }
+
+    const { data: request, error } = await supabaseAdmin
+      .from('role_requests')
+      .update({
+        status: 'rejected',
+        reviewed_by: req.user.id,
+        reviewed_at: new Date().toISOString(),
+        review_notes: notes
+      })
+      .eq('id', req.params.id)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+
+    if (!request) {
+      return res.status(404).json({ success: false, error: 'Pending request not found' });
+    }
+
+    logger.info(`Admin ${req.user.id} rejected role request ${request.id}`);
+
+    res.json({
+      success: true,
+      message: 'Role request rejected',
+      request
+    });
+
+  } catch (error) {
+    logger.error('Failed to reject role request:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reject role request',
+      message: error.message
+    });
+  }
+});
+
+// ==================== AUDIT TRAIL ====================
+
+// GET /api/roles/grants?user_id=
+router.get('/grants', authorize('roles:manage'), async (req, res) => {
+  try {
+    const { user_id } = req.query;
+
+    let query = supabaseAdmin
+      .from('role_grants')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (user_id) query = query.eq('user_id', user_id);
+
+    const { data: grants, error } = await query;
+
+    if (error) throw new Error(error.message);
+
+    res.json({
+      success: true,
+      grants: grants || []
+    });
+
+  } catch (error) {
+    logger.error('Failed to list role grants:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch role grants',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,7 +1,219 @@
+/**
+ * User Profile Routes
+ */
+
 import express from 'express';
 import { authenticate } from '../middleware/auth.js';
+import { loadProfile } from '../middleware/policy.js';
+import { validateProfileUpdate, validatePreferences } from '../middleware/validation.js';
+import { uploadSingle } from '../middleware/upload.js';
+import { supabaseAdmin } from '../config/supabase.js';
+import { storageService } from '../services/storage.js';
+import { formatUser } from '../utils/userResponse.js';
+import { createLogger } from '../utils/logger.js';
+
 const router = express.Router();
-router.get('/profile', authenticate, async (req, res) => {
-  res.json({ success: true, message: 'User profile endpoint - to be implemented' });
+const logger = createLogger('UsersAPI');
+
+const AVATAR_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp'
+};
+const AVATAR_MAX_BYTES = 2 * 1024 * 1024;
+
+async function updateProfile(userId, changes) {
+  const { data: profile, error } = await supabaseAdmin
+    .from('profiles')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', userId)
+    .select('*')
+    .single();
+
+  if (error) throw new Error(error.message);
+  return profile;
+}
+
+// GET /api/users/profile
+router.get('/profile', authenticate, loadProfile, async (req, res) => {
+  res.json({
+    success: true,
+    user: formatUser(req.user, req.profile)
+  });
 });
+
+// PATCH /api/users/profile
+router.patch('/profile', authenticate, loadProfile, validateProfileUpdate, async (req, res) => {
+  try {
+    const { name, phone, company_name, business_address, registration_number } = req.body;
+
+    const changes = Object.fromEntries(
+      Object.entries({ name, phone, company_name, business_address, registration_number })
+        .filter(([, value]) => value !== undefined)
+        .map(([field, value]) => [field, typeof value === 'string' ? value.trim() : value])
+    );
+
+    if (changes.phone === null && req.profile.sms_notifications) {
+      changes.sms_notifications = false;
+    }
+
+    const profile = await updateProfile(req.user.id, changes);
+
+    logger.info(`User ${req.user.id} updated profile: ${Object.keys(changes).join(', ')}`);
+
+    res.json({
+      success: true,
+      message: 'Profile updated',
+      user: formatUser(req.user, profile)
+    });
+
+  } catch (error) {
+    logger.error('Failed to update profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update profile',
+      message: error.message
+    });
+  }
+});
+
+// PATCH /api/users/preferences
+router.patch('/preferences', authenticate, loadProfile, validatePreferences, async (req, res) => {
+  try {
+    const { email_notifications, sms_notifications } = req.body;
+
+    if (sms_notifications === true && !req.profile.phone) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: ['Add a phone number before enabling SMS notifications']
+      });
+    }
+
+    const changes = {};
+    if (email_notifications !== undefined) changes.email_notifications = email_notifications;
+    if (sms_notifications !== undefined) changes.sms_notifications = sms_notifications;
+
+    const profile = await updateProfile(req.user.id, changes);
+
+    res.json({
+      success: true,
+      message: 'Preferences updated',
+      user: formatUser(req.user, profile)
+    });
+
+  } catch (error) {
+    logger.error('Failed to update preferences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update preferences',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/users/avatar - multipart field "avatar" (PNG, JPEG or WebP, max 2MB)
+router.post(
+  '/avatar',
+  authenticate,
+  loadProfile,
+  uploadSingle('avatar', { maxBytes: AVATAR_MAX_BYTES, allowedTypes: Object.keys(AVATAR_TYPES) }),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ success: false, error: 'avatar file is required' });
+      }
+
+      const key = `avatars/${req.user.id}.${AVATAR_TYPES[req.file.mimetype]}`;
+
+      if (req.profile.avatar_key && req.profile.avatar_key !== key) {
+        await storageService.delete(req.profile.avatar_key);
+      }
+
+      await storageService.put(key, req.file.buffer, { contentType: req.file.mimetype });
+
+      const profile = await updateProfile(req.user.id, {
+        avatar_key: key,
+        avatar_url: `/api/users/${req.user.id}/avatar?v=${Date.now()}`
+      });
+
+      logger.info(`User ${req.user.id} uploaded avatar (${req.file.size} bytes)`);
+
+      res.json({
+        success: true,
+        message: 'Avatar updated',
+        user: formatUser(req.user, profile)
+      });
+
+    } catch (error) {
+      logger.error('Failed to upload avatar:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to upload avatar',
+        message: error.message
+      });
+    }
+  }
+);
+
+// DELETE /api/users/avatar
+router.delete('/avatar', authenticate, loadProfile, async (req, res) => {
+  try {
+    if (req.profile.avatar_key) {
+      await storageService.delete(req.profile.avatar_key);
+    }
+
+    const profile = await updateProfile(req.user.id, { avatar_key: null, avatar_url: null });
+
+    res.json({
+      success: true,
+      message: 'Avatar removed',
+      user: formatUser(req.user, profile)
+    });
+
+  } catch (error) {
+    logger.error('Failed to remove avatar:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove avatar',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/users/:id/avatar - public so it can be used directly in <img> tags
+router.get('/:id/avatar', async (req, res) => {
+  try {
+    if (!supabaseAdmin) {
+      return res.status(503).json({ success: false, error: 'Service not configured' });
+    }
+
+    const { data: profile } = await supabaseAdmin
+      .from('profiles')
+      .select('avatar_key')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    const file = profile?.avatar_key ? await storageService.get(profile.avatar_key) : null;
+
+    if (!file) {
+      return res.status(404).json({ success: false, error: 'Avatar not found' });
+    }
+
+    const extension = profile.avatar_key.split('.').pop();
+    const contentType = Object.keys(AVATAR_TYPES).find(type => AVATAR_TYPES[type] === extension);
+
+    res.set('Content-Type', contentType);
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.send(file);
+
+  } catch (error) {
+    logger.error('Failed to get avatar:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch avatar'
+    });
+  }
+});
+
 export default router;
@@ -4,134 +4,152 @@
 
 import express from 'express';
 import { createClient } from '@supabase/supabase-js';
+import { authorize } from '../middleware/policy.js';
+import { requireStepUp, loanAboveApprovalThreshold } from '../middleware/stepUp.js';
+import { organizationService } from '../services/organizations.js';
+import { collateralService } from '../services/collateral.js';
+import { verificationService, VERIFY_ASSET_JOB } from '../services/verification.js';
+import { collateralWarnings } from '../services/collateralWarnings.js';
+import { jobQueueService } from '../services/jobQueue.js';
+import { oracleService } from '../services/oracle.js';
+import { ORACLE_SIGNATURE_HEADER, ORACLE_TIMESTAMP_HEADER } from '../utils/oracleSignature.js';
 
 const router = express.Router();
 
+const ID_PATTERN = /^[A-Za-z0-9-]+$/;
+
 // Initialize Supabase client
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
 );
 
-// Middleware to verify JWT token
-const authenticateToken = async (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) {
-    console.log('❌ No token provided');
-    return res.status(401).json({ error: 'Access token required' });
-  }
+// =====================================================
+// VERIFICATION ENDPOINTS
+// =====================================================
 
+/**
+ * POST /api/verification/verify-asset/:assetId
+ * Queue verification of the asset. Returns the job ID; the asset stays
+ * verification_pending until every provider, including the oracle, has answered.
+ */
+router.post('/verify-asset/:assetId', authorize('verification:run'), async (req, res) => {
   try {
-    const { data: { user }, error } = await supabase.auth.getUser(token);
-    if (error) {
-      console.log('❌ Token validation failed:', error);
-      throw error;
-    }
+    const { assetId } = req.params;
     
-    // Get user profile including role
-    const { data: profile, error: profileError } = await supabase
-      .from('profiles')
-      .select('*')
-      .eq('id', user.id)
-      .single();
+    console.log('🔍 Queueing verification for asset:', assetId);
     
-    if (profileError) {
-      console.log('❌ Profile fetch failed:', profileError);
-      throw profileError;
-    }
+    const job = await verificationService.start(req.resource);
+    
+    res.status(202).json({
+      success: true,
+      job_id: job.id,
+      status: 'verification_pending'
+    });
     
-    console.log('✅ Authenticated user:', profile.email, 'Role:', profile.role);
-    req.user = profile;
-    next();
   } catch (error) {
-    console.error('❌ Authentication error:', error);
-    return res.status(403).json({ error: 'Invalid token' });
-  }
-};
-
-// Middleware to check if user is a lender
-const requireLenderRole = (req, res, next) => {
-  console.log('🔍 Checking lender role for:', req.user.email, 'Role:', req.user.role);
-  if (req.user.role !== 'lender' && req.user.role !== 'admin') {
-    console.log('❌ Access denied - not a lender/admin');
-    return res.status(403).json({ error: 'Lender access required' });
+    console.error('❌ Verification error:', error);
+    res.status(500).json({ error: error.message });
   }
-  console.log('✅ Lender role verified');
-  next();
-};
-
-// =====================================================
-// VERIFICATION ENDPOINTS
-// =====================================================
+});
 
 /**
- * POST /api/verification/verify-asset/:assetId
- * Trigger mock verification for an asset
+ * GET /api/verification/verify-asset/:assetId/jobs/:jobId
+ * Status of a verification job and the asset's current verification status
  */
-router.post('/verify-asset/:assetId', authenticateToken, async (req, res) => {
+router.get('/verify-asset/:assetId/jobs/:jobId', authorize('verification:logs'), async (req, res) => {
   try {
-    const { assetId } = req.params;
+    const { assetId, jobId } = req.params;
     
-    console.log('🔍 Verifying asset:', assetId);
+    const job = await jobQueueService.get(jobId);
+    
+    if (!job || job.type !== VERIFY_ASSET_JOB || job.payload?.asset_id !== assetId) {
+      return res.status(404).json({ error: 'Verification job not found' });
+    }
     
-    // Get asset details
-    const { data: asset, error: assetError } = await supabase
+    const { data: asset, error } = await supabase
       .from('assets')
-      .select('*')
+      .select('verification_status, verification_method, verified_at')
       .eq('id', assetId)
       .single();
     
-    if (assetError || !asset) {
-      console.log('❌ Asset not found:', assetId);
-      return res.status(404).json({ error: 'Asset not found' });
+    if (error) throw error;
+    
+    res.json({
+      job: {
+        id: job.id,
+        status: job.status,
+        attempts: job.attempts,
+        last_error: job.last_error,
+        created_at: job.created_at,
+        completed_at: job.completed_at
+      },
+      verification_status: asset.verification_status,
+      verification_method: asset.verification_method,
+      verified_at: asset.verified_at
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching verification job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/verification/oracle/callback
+ * Result from the oracle for a verification request. Authenticated by the HMAC
+ * signature headers rather than a user session (see services/oracle.js).
+ */
+router.post('/oracle/callback', async (req, res) => {
+  try {
+    if (!process.env.ORACLE_CALLBACK_SECRET) {
+      return res.status(503).json({ error: 'Oracle callbacks are not configured' });
     }
     
-    // Check ownership
-    if (asset.user_id !== req.user.id && req.user.role !== 'admin') {
-      console.log('❌ Unauthorized access to asset');
-      return res.status(403).json({ error: 'Unauthorized' });
+    try {
+      oracleService.verifySignature({
+        rawBody: req.rawBody,
+        timestamp: req.get(ORACLE_TIMESTAMP_HEADER),
+        signature: req.get(ORACLE_SIGNATURE_HEADER)
+      });
+    } catch (signatureError) {
+      console.warn('⚠️ Rejected oracle callback:', signatureError.message);
+      return res.status(signatureError.status || 401).json({ error: signatureError.message });
     }
     
-    // Mock verification logic
-    const verificationData = await performMockVerification(asset);
+    const { request_id: requestId, asset_id: assetId, verified, confidence, checks, data, reason } = req.body;
+    
+    if (!ID_PATTERN.test(requestId || '') || !ID_PATTERN.test(assetId || '')) {
+      return res.status(400).json({ error: 'request_id and asset_id are required' });
+    }
+    if (typeof verified !== 'boolean') {
+      return res.status(400).json({ error: 'verified must be a boolean' });
+    }
+    if (confidence != null && !(confidence >= 0 && confidence <= 1)) {
+      return res.status(400).json({ error: 'confidence must be between 0 and 1' });
+    }
     
-    console.log('✅ Verification result:', verificationData.status);
+    const request = await oracleService.complete(requestId, assetId, {
+      verified,
+      confidence: confidence ?? null,
+      checks: checks || {},
+      data: data || {},
+      reason: reason || null
+    });
     
-    // Update asset with verification results
-    const { data: updatedAsset, error: updateError } = await supabase
-      .from('assets')
-      .update({
-        verification_status: verificationData.status,
-        verification_method: 'mock_oracle',
-        verification_data: verificationData.data,
-        verified_at: verificationData.status === 'verified' ? new Date().toISOString() : null,
-        verified_by: 'Mock Oracle Service'
-      })
-      .eq('id', assetId)
-      .select()
-      .single();
+    if (!request) {
+      return res.status(409).json({ error: 'Unknown, expired or already completed oracle request' });
+    }
     
-    if (updateError) throw updateError;
+    // Re-run verification so the oracle's answer is combined with the other providers
+    await verificationService.enqueue(assetId);
     
-    // Log verification attempt
-    await supabase.from('verification_logs').insert({
-      asset_id: assetId,
-      verification_method: 'mock_oracle',
-      status: verificationData.status === 'verified' ? 'success' : 'failed',
-      verification_data: verificationData.data,
-      error_message: verificationData.error
-    });
+    console.log('✅ Oracle result received for asset:', assetId, verified ? '(verified)' : '(not verified)');
     
-    res.json({
-      success: true,
-      asset: updatedAsset,
-      verification: verificationData
-    });
+    res.status(202).json({ received: true });
     
   } catch (error) {
-    console.error('❌ Verification error:', error);
+    console.error('❌ Oracle callback error:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -140,7 +158,7 @@ router.post('/verify-asset/:assetId', authenticateToken, async (req, res) => {
  * GET /api/verification/logs/:assetId
  * Get verification history for an asset
  */
-router.get('/logs/:assetId', authenticateToken, async (req, res) => {
+router.get('/logs/:assetId', authorize('verification:logs'), async (req, res) => {
   try {
     const { assetId } = req.params;
     
@@ -168,7 +186,7 @@ router.get('/logs/:assetId', authenticateToken, async (req, res) => {
  * GET /api/lender/pending-loans
  * Get all loans pending lender approval
  */
-router.get('/pending-loans', authenticateToken, requireLenderRole, async (req, res) => {
+router.get('/pending-loans', authorize('lender:access'), async (req, res) => {
   try {
     console.log('📋 Fetching pending loans');
     
@@ -190,7 +208,10 @@ router.get('/pending-loans', authenticateToken, requireLenderRole, async (req, r
           description,
           value,
           verification_status,
-          verified_at
+          verified_at,
+          verification_expires_at,
+          previous_verification_status,
+          verification_changed_at
         )
       `)
       .eq('status', 'requested')
@@ -200,7 +221,9 @@ router.get('/pending-loans', authenticateToken, requireLenderRole, async (req, r
     
     console.log(`✅ Found ${loans?.length || 0} pending loans`);
     
-    res.json({ loans: loans || [] });
+    res.json({
+      loans: (loans || []).map(loan => ({ ...loan, collateral_warnings: collateralWarnings(loan.assets, loan) }))
+    });
     
   } catch (error) {
     console.error('❌ Error fetching pending loans:', error);
@@ -212,7 +235,7 @@ router.get('/pending-loans', authenticateToken, requireLenderRole, async (req, r
  * GET /api/lender/all-loans
  * Get all loans (for lender dashboard overview)
  */
-router.get('/all-loans', authenticateToken, requireLenderRole, async (req, res) => {
+router.get('/all-loans', authorize('lender:access'), async (req, res) => {
   try {
     const { status } = req.query;
     
@@ -223,6 +246,9 @@ router.get('/all-loans', authenticateToken, requireLenderRole, async (req, res)
       .select('*')
       .order('created_at', { ascending: false });
     
+    const scope = await organizationService.lenderLoanFilter(req);
+    if (scope) query = query.or(scope);
+    
     if (status) {
       query = query.eq('status', status);
     }
@@ -242,7 +268,7 @@ router.get('/all-loans', authenticateToken, requireLenderRole, async (req, res)
       console.log('🔍 Fetching profile for sme_id:', loan.sme_id);
       const { data: profile, error: profileError } = await supabase
         .from('profiles')
-        .select('name, phone')
+        .select('name, phone, kyb_status')
         .eq('id', loan.sme_id)
         .single();
       
@@ -282,10 +308,13 @@ router.get('/all-loans', authenticateToken, requireLenderRole, async (req, res)
         asset_description: asset?.description || null,
         verification_status: asset?.verification_status || null,
         verified_at: asset?.verified_at || null,
+        verification_expires_at: asset?.verification_expires_at || null,
+        collateral_warnings: collateralWarnings(asset, loan),
         sme_id: loan.sme_id,
         sme_name: profile?.name || 'Unknown',
         sme_email: null,
         sme_phone: profile?.phone || null,
+        sme_kyb_status: profile?.kyb_status || 'not_started',
         created_at: loan.created_at,
         reviewed_at: loan.reviewed_at,
         lender_notes: loan.lender_notes,
@@ -309,17 +338,21 @@ router.get('/all-loans', authenticateToken, requireLenderRole, async (req, res)
  * GET /api/lender/loan/:loanId
  * Get detailed information about a specific loan
  */
-router.get('/loan/:loanId', authenticateToken, requireLenderRole, async (req, res) => {
+router.get('/loan/:loanId', authorize('lender:access'), async (req, res) => {
   try {
     const { loanId } = req.params;
     
     console.log('🔍 Fetching loan details for:', loanId);
     
-    const { data: loan, error } = await supabase
+    let loanQuery = supabase
       .from('loans')
       .select('*')
-      .eq('id', loanId)
-      .single();
+      .eq('id', loanId);
+    
+    const scope = await organizationService.lenderLoanFilter(req);
+    if (scope) loanQuery = loanQuery.or(scope);
+    
+    const { data: loan, error } = await loanQuery.maybeSingle();
     
     if (error) {
       console.log('❌ Loan fetch error:', error);
@@ -335,7 +368,7 @@ router.get('/loan/:loanId', authenticateToken, requireLenderRole, async (req, re
     console.log('🔍 Fetching profile for sme_id:', loan.sme_id);
     const { data: profile, error: profileError } = await supabase
       .from('profiles')
-      .select('name, phone')
+      .select('name, phone, kyb_status')
       .eq('id', loan.sme_id)
       .single();
     
@@ -388,6 +421,7 @@ router.get('/loan/:loanId', authenticateToken, requireLenderRole, async (req, re
       sme_name: profile?.name || 'Unknown',
       sme_email: null,
       sme_phone: profile?.phone || null,
+      sme_kyb_status: profile?.kyb_status || 'not_started',
       asset_id: loan.asset_id,
       asset_type: asset?.type || null,
       asset_name: asset?.asset_name || null,
@@ -396,6 +430,8 @@ router.get('/loan/:loanId', authenticateToken, requireLenderRole, async (req, re
       verification_status: asset?.verification_status || null,
       verification_data: asset?.verification_data || null,
       verified_at: asset?.verified_at || null,
+      verification_expires_at: asset?.verification_expires_at || null,
+      collateral_warnings: collateralWarnings(asset, loan),
       status_history: history || []
     };
     
@@ -413,75 +449,90 @@ router.get('/loan/:loanId', authenticateToken, requireLenderRole, async (req, re
  * POST /api/lender/approve-loan/:loanId
  * Approve a loan request
  */
-router.post('/approve-loan/:loanId', authenticateToken, requireLenderRole, async (req, res) => {
-  try {
-    const { loanId } = req.params;
-    const { notes, conditions } = req.body;
+router.post(
+  '/approve-loan/:loanId',
+  authorize('lender:decide'),
+  requireStepUp('approve this loan', loanAboveApprovalThreshold('loanId')),
+  async (req, res) => {
+    try {
+      const { loanId } = req.params;
+      const { notes, conditions } = req.body;
+    
+      console.log('✅ Approving loan:', loanId);
+    
+      // Get current loan status
+      const { data: currentLoan, error: fetchError } = await supabase
+        .from('loans')
+        .select('status')
+        .eq('id', loanId)
+        .single();
     
-    console.log('✅ Approving loan:', loanId);
+      if (fetchError) throw fetchError;
     
-    // Get current loan status
-    const { data: currentLoan, error: fetchError } = await supabase
-      .from('loans')
-      .select('status')
-      .eq('id', loanId)
-      .single();
+      if (currentLoan.status !== 'requested') {
+        console.log('❌ Loan not in requested status:', currentLoan.status);
+        return res.status(400).json({ 
+          error: 'Loan is not pending approval',
+          currentStatus: currentLoan.status 
+        });
+      }
     
-    if (fetchError) throw fetchError;
+      const lenderOrgId = await organizationService.resolveActiveOrg(req, 'lender');
+    
+      // Update loan to approved
+      const { data: updatedLoan, error: updateError } = await supabase
+        .from('loans')
+        .update({
+          status: 'approved',
+          lender_id: req.user.id,
+          lender_org_id: lenderOrgId,
+          reviewed_at: new Date().toISOString(),
+          approved_at: new Date().toISOString(),
+          lender_notes: notes,
+          approval_conditions: conditions
+        })
+        .eq('id', loanId)
+        .eq('status', 'requested')
+        .select()
+        .maybeSingle();
+    
+      if (updateError) throw updateError;
+    
+      if (!updatedLoan) {
+        return res.status(409).json({ error: 'Loan is no longer pending approval' });
+      }
     
-    if (currentLoan.status !== 'requested') {
-      console.log('❌ Loan not in requested status:', currentLoan.status);
-      return res.status(400).json({ 
-        error: 'Loan is not pending approval',
-        currentStatus: currentLoan.status 
+      // Log status change
+      await supabase.from('loan_status_history').insert({
+        loan_id: loanId,
+        old_status: 'requested',
+        new_status: 'approved',
+        changed_by: req.user.id,
+        notes: notes
       });
-    }
-    
-    // Update loan to approved
-    const { data: updatedLoan, error: updateError } = await supabase
-      .from('loans')
-      .update({
-        status: 'approved',
-        lender_id: req.user.id,
-        reviewed_at: new Date().toISOString(),
-        approved_at: new Date().toISOString(),
-        lender_notes: notes,
-        approval_conditions: conditions
-      })
-      .eq('id', loanId)
-      .select()
-      .single();
     
-    if (updateError) throw updateError;
+      await collateralService.markPledged(updatedLoan.asset_id, { actorId: req.user.id });
     
-    // Log status change
-    await supabase.from('loan_status_history').insert({
-      loan_id: loanId,
-      old_status: 'requested',
-      new_status: 'approved',
-      changed_by: req.user.id,
-      notes: notes
-    });
+      console.log('✅ Loan approved successfully');
     
-    console.log('✅ Loan approved successfully');
-    
-    res.json({
-      success: true,
-      loan: updatedLoan,
-      message: 'Loan approved successfully'
-    });
+      res.json({
+        success: true,
+        loan: updatedLoan,
+        message: 'Loan approved successfully'
+      });
     
-  } catch (error) {
-    console.error('❌ Error approving loan:', error);
-    res.status(500).json({ error: error.message });
+    } catch (error) {
+      console.error('❌ Error approving loan:', error);
+      res.status(error.status || 500).json({ error: error.message });
+    }
   }
-});
+);
 
 /**
  * POST /api/lender/reject-loan/:loanId
  * Reject a loan request
  */
-router.post('/reject-loan/:loanId', authenticateToken, requireLenderRole, async (req, res) => {
+router.post('/reject-loan/:loanId', authorize('lender:decide'), async (req, res) => {
   try {
     const { loanId } = req.params;
     const { reason } = req.body;
@@ -509,21 +560,29 @@ router.post('/reject-loan/:loanId', authenticateToken, requireLenderRole, async
       });
     }
     
+    const lenderOrgId = await organizationService.resolveActiveOrg(req, 'lender');
+    
     // Update loan to rejected
     const { data: updatedLoan, error: updateError } = await supabase
       .from('loans')
       .update({
         status: 'rejected',
         lender_id: req.user.id,
+        lender_org_id: lenderOrgId,
         reviewed_at: new Date().toISOString(),
         lender_notes: reason
       })
       .eq('id', loanId)
+      .eq('status', 'requested')
       .select()
-      .single();
+      .maybeSingle();
     
     if (updateError) throw updateError;
     
+    if (!updatedLoan) {
+      return res.status(409).json({ error: 'Loan is no longer pending approval' });
+    }
+    
     // Log status change
     await supabase.from('loan_status_history').insert({
       loan_id: loanId,
@@ -533,6 +592,8 @@ router.post('/reject-loan/:loanId', authenticateToken, requireLenderRole, async
       notes: reason
     });
     
+    await collateralService.release(loanId, { reason: 'rejected', actorId: req.user.id });
+    
     console.log('✅ Loan rejected successfully');
     
     res.json({
@@ -543,7 +604,7 @@ router.post('/reject-loan/:loanId', authenticateToken, requireLenderRole, async
     
   } catch (error) {
     console.error('❌ Error rejecting loan:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -551,15 +612,20 @@ router.post('/reject-loan/:loanId', authenticateToken, requireLenderRole, async
  * GET /api/lender/stats
  * Get statistics for lender dashboard
  */
-router.get('/stats', authenticateToken, requireLenderRole, async (req, res) => {
+router.get('/stats', authorize('lender:access'), async (req, res) => {
   try {
     console.log('📊 Fetching lender stats');
     
-    // Get counts by status
-    const { data: loans, error: loansError } = await supabase
+    // Get counts by status across open requests and the lender's own loans
+    let statsQuery = supabase
       .from('loans')
       .select('status, amount_requested, amount');
     
+    const scope = await organizationService.lenderLoanFilter(req);
+    if (scope) statsQuery = statsQuery.or(scope);
+    
+    const { data: loans, error: loansError } = await statsQuery;
+    
     if (loansError) throw loansError;
     
     const stats = {
@@ -593,67 +659,4 @@ router.get('/stats', authenticateToken, requireLenderRole, async (req, res) => {
   }
 });
 
-// =====================================================
-// HELPER FUNCTIONS
-// =====================================================
-
-/**
- * Mock verification logic
- */
-async function performMockVerification(asset) {
-  // Simulate processing time
-  await new Promise(resolve => setTimeout(resolve, 1000));
-  
-  // Mock verification rules based on asset type
-  const verificationRules = {
-    deposit: {
-      minValue: 1000,
-      maxValue: 1000000,
-      requiredFields: ['description', 'value']
-    },
-    purchase_order: {
-      minValue: 5000,
-      maxValue: 5000000,
-      requiredFields: ['description', 'value']
-    },
-    invoice: {
-      minValue: 1000,
-      maxValue: 2000000,
-      requiredFields: ['description', 'value']
-    }
-  };
-  
-  const rules = verificationRules[asset.type] || verificationRules.deposit;
-  
-  // Check basic validation
-  const checks = {
-    hasRequiredFields: rules.requiredFields.every(field => asset[field]),
-    valueInRange: asset.value >= rules.minValue && asset.value <= rules.maxValue,
-    hasValidDescription: asset.description && asset.description.length >= 10,
-    timestamp: new Date().toISOString()
-  };
-  
-  // Determine if verification passed
-  const passed = Object.values(checks).every(check => 
-    typeof check === 'boolean' ? check : true
-  );
-  
-  // Generate verification data
-  const verificationData = {
-    checks,
-    verifiedAmount: asset.value,
-    confidence: passed ? 0.95 : 0.45,
-    riskScore: passed ? 'low' : 'high',
-    verificationMethod: 'mock_oracle',
-    dataSource: `Mock ${asset.type} verification`,
-    verifiedAt: new Date().toISOString()
-  };
-  
-  return {
-    status: passed ? 'verified' : 'verification_failed',
-    data: verificationData,
-    error: passed ? null : 'Asset did not meet verification criteria'
-  };
-}
-
 export default router;
\ No newline at end of file
@@ -0,0 +1,54 @@
+/**
+ * Backfill profiles.email
+ * One-off: copies each auth user's email onto their profile, for accounts created
+ * before profiles.email was kept in sync. Password reset lookups depend on it and
+ * expect an index on it:
+ *
+ *   create index if not exists profiles_email_idx on profiles (email);
+ *
+ * Run with `npm run backfill:profile-emails`. Safe to run again.
+ */
+
+import 'dotenv/config';
+import { supabaseAdmin } from '../config/supabase.js';
+
+const PAGE_SIZE = 1000;
+
+async function backfill() {
+  let updated = 0;
+
+  for (let page = 1; ; page++) {
+    const { data, error } = await supabaseAdmin.auth.admin.listUsers({ page, perPage: PAGE_SIZE });
+
+    if (error) throw new Error(error.message);
+
+    for (const user of data.users) {
+      if (!user.email) continue;
+
+      const email = user.email.toLowerCase();
+      const { data: rows, error: updateError } = await supabaseAdmin
+        .from('profiles')
+        .update({ email })
+        .eq('id', user.id)
+        .or(`email.is.null,email.neq."${email}"`)
+        .select('id');
+
+      if (updateError) throw new Error(`Profile ${user.id}: ${updateError.message}`);
+      updated += rows.length;
+    }
+
+    if (data.users.length < PAGE_SIZE) break;
+  }
+
+  console.log(`✅ Backfilled email on ${updated} profile(s)`);
+}
+
+if (!supabaseAdmin) {
+  console.error('SUPABASE_SERVICE_KEY must be set');
+  process.exit(1);
+}
+
+backfill().catch(error => {
+  console.error('❌ Backfill failed:', error.message);
+  process.exit(1);
+});
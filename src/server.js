@@ -6,6 +6,10 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import { blockchainService } from './services/blockchain.js';
+import { jobQueueService } from './services/jobQueue.js';
+import './services/assetExpiry.js';
+import './services/reverification.js';
+import { supabaseAdmin } from './config/supabase.js';
 
 import authRoutes from './routes/auth.js';
 import assetRoutes from './routes/assets.js';
@@ -17,12 +21,23 @@ import escrowRoutes from './routes/escrow.js';
 import milestonesEscrowRoutes from './routes/milestones-escrow.js';
 import verificationLenderRoutes from './routes/verification-lender.js';
 import lenderRoutes from './routes/lender.js';
+import roleRoutes from './routes/roles.js';
+import kybRoutes from './routes/kyb.js';
+import organizationRoutes from './routes/organizations.js';
+import apiKeyRoutes from './routes/api-keys.js';
+import adminRoutes from './routes/admin.js';
+import assetReviewRoutes from './routes/asset-reviews.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 
+// Behind a load balancer, trust X-Forwarded-For so req.ip is the client (used for login throttling)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors({
   origin: [
@@ -35,7 +50,12 @@ app.use(cors({
   credentials: true
 }));
 
-app.use(express.json());
+// Keep the raw body: oracle callbacks are signed over the exact bytes received
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString();
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use('/api/escrow', escrowRoutes);
 app.use('/api/milestones', milestonesEscrowRoutes);
@@ -59,6 +79,12 @@ app.use('/api/disputes', disputeRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/verification', verificationLenderRoutes);
 app.use('/api/lender', lenderRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/kyb', kybRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/asset-reviews', assetReviewRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -74,6 +100,13 @@ async function start() {
     console.log('Initializing blockchain service...');
     await blockchainService.initialize();
     console.log('✅ Blockchain service initialized');
+
+    if (supabaseAdmin) {
+      jobQueueService.start();
+      console.log('✅ Job worker started');
+    } else {
+      console.warn('⚠️  SUPABASE_SERVICE_KEY not set: background jobs will not run');
+    }
     
     app.listen(PORT, () => {
       console.log('🚀 GoodFi Backend API running on port', PORT);
@@ -84,7 +117,9 @@ async function start() {
       console.log('API Endpoints:');
       console.log('  POST   /api/auth/register');
       console.log('  POST   /api/auth/login');
+      console.log('  POST   /api/auth/refresh');
       console.log('  GET    /api/auth/me');
+      console.log('  GET    /api/auth/sessions');
       console.log('  POST   /api/assets/create');
       console.log('  GET    /api/assets/:id');
       console.log('  GET    /api/assets');
@@ -97,6 +132,8 @@ async function start() {
       console.log('  GET    /api/lender/loan/:id');
       console.log('  POST   /api/lender/loan/:id/approve');
       console.log('  POST   /api/lender/loan/:id/reject');
+      console.log('  POST   /api/verification/verify-asset/:id');
+      console.log('  POST   /api/verification/oracle/callback');
       console.log('  GET    /health');
       console.log('');
       console.log('✅ Server ready!');
@@ -0,0 +1,53 @@
+/**
+ * Admin Action Service
+ * Audit trail for back-office actions: suspensions, role changes and manual overrides.
+ * Every entry carries the acting admin and the reason they gave.
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('AdminActionService');
+
+class AdminActionService {
+  async record({ adminId, action, targetType, targetId, reason, details = {} }) {
+    const { data, error } = await supabaseAdmin
+      .from('admin_actions')
+      .insert({
+        admin_id: adminId,
+        action,
+        target_type: targetType,
+        target_id: targetId,
+        reason,
+        details,
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    logger.info(`Admin ${adminId}: ${action} on ${targetType} ${targetId} (${reason})`);
+    return data;
+  }
+
+  async list({ adminId, action, targetType, targetId, limit = 50, offset = 0 } = {}) {
+    let query = supabaseAdmin
+      .from('admin_actions')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (adminId) query = query.eq('admin_id', adminId);
+    if (action) query = query.eq('action', action);
+    if (targetType) query = query.eq('target_type', targetType);
+    if (targetId) query = query.eq('target_id', targetId);
+
+    const { data, error, count } = await query;
+
+    if (error) throw new Error(error.message);
+    return { actions: data || [], total: count || 0 };
+  }
+}
+
+export const adminActionService = new AdminActionService();
@@ -0,0 +1,132 @@
+/**
+ * API Key Service
+ * Long-lived credentials for server-to-server integrations. A key belongs to the user who
+ * issued it and optionally to one of their organizations, and carries a fixed set of scopes.
+ * Only a SHA-256 hash of each key is stored; the plain key is shown once at creation.
+ */
+
+import crypto from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('ApiKeyService');
+
+export const API_KEY_PREFIX = 'gfk_';
+
+export const API_KEY_SCOPES = {
+  'read:loans': { roles: ['lender', 'admin'], description: 'Read loan applications and lender statistics' },
+  'write:approvals': { roles: ['lender', 'admin'], description: 'Approve and reject loan applications' },
+  'read:escrow': { roles: ['sme', 'customer', 'lender', 'admin'], description: 'Read escrows you are party to' }
+};
+
+export const API_KEY_DEFAULT_TTL_DAYS = parseInt(process.env.API_KEY_DEFAULT_TTL_DAYS || '90');
+export const API_KEY_MAX_TTL_DAYS = parseInt(process.env.API_KEY_MAX_TTL_DAYS || '365');
+
+const PUBLIC_COLUMNS = 'id, name, key_prefix, user_id, org_id, scopes, expires_at, last_used_at, last_used_ip, revoked_at, created_at';
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+export function isApiKey(value) {
+  return typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+}
+
+class ApiKeyService {
+  async create({ userId, orgId = null, name, scopes, expiresInDays = API_KEY_DEFAULT_TTL_DAYS }) {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const now = new Date();
+
+    const { data: apiKey, error } = await supabaseAdmin
+      .from('api_keys')
+      .insert({
+        user_id: userId,
+        org_id: orgId,
+        name,
+        key_prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+        key_hash: hashKey(key),
+        scopes,
+        expires_at: new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000).toISOString(),
+        created_at: now.toISOString()
+      })
+      .select(PUBLIC_COLUMNS)
+      .single();
+
+    if (error) throw new Error(error.message);
+    return { apiKey, key };
+  }
+
+  /**
+   * Keys the user issued plus keys of the given organizations
+   */
+  async list(userId, orgIds = []) {
+    const clauses = [`user_id.eq.${userId}`];
+    if (orgIds.length > 0) clauses.push(`org_id.in.(${orgIds.join(',')})`);
+
+    const { data, error } = await supabaseAdmin
+      .from('api_keys')
+      .select(PUBLIC_COLUMNS)
+      .or(clauses.join(','))
+      .order('created_at', { ascending: false });
+
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+
+  async get(id) {
+    const { data, error } = await supabaseAdmin
+      .from('api_keys')
+      .select(PUBLIC_COLUMNS)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  async revoke(id, revokedBy) {
+    const { data, error } = await supabaseAdmin
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString(), revoked_by: revokedBy })
+      .eq('id', id)
+      .is('revoked_at', null)
+      .select(PUBLIC_COLUMNS)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * The key's record if it is valid (known, not revoked, not expired), else null.
+   * Records the use without holding up the request.
+   */
+  async verify(key, { ip } = {}) {
+    if (!isApiKey(key)) return null;
+
+    const now = new Date().toISOString();
+
+    const { data: apiKey, error } = await supabaseAdmin
+      .from('api_keys')
+      .select(PUBLIC_COLUMNS)
+      .eq('key_hash', hashKey(key))
+      .is('revoked_at', null)
+      .gt('expires_at', now)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!apiKey) return null;
+
+    supabaseAdmin
+      .from('api_keys')
+      .update({ last_used_at: now, last_used_ip: ip || null })
+      .eq('id', apiKey.id)
+      .then(({ error: updateError }) => {
+        if (updateError) logger.warn(`Failed to record use of API key ${apiKey.id}: ${updateError.message}`);
+      });
+
+    return apiKey;
+  }
+}
+
+export const apiKeyService = new ApiKeyService();
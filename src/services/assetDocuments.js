@@ -0,0 +1,92 @@
+/**
+ * Asset Document Service
+ * Supporting documents for assets (invoices, purchase orders, deposit statements).
+ * Files go through storageService; each is fingerprinted with SHA-256 so the hash
+ * can be anchored on-chain with the asset.
+ */
+
+import crypto from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+import { storageService } from './storage.js';
+
+export const ASSET_DOCUMENT_TYPES = ['invoice', 'purchase_order', 'deposit_statement', 'supporting'];
+
+// Document type expected for each asset type
+export const PRIMARY_DOCUMENT_TYPE = {
+  invoice: 'invoice',
+  purchase_order: 'purchase_order',
+  deposit: 'deposit_statement'
+};
+
+export const ASSET_DOCUMENT_MAX_BYTES = 10 * 1024 * 1024;
+export const ASSET_DOCUMENT_MIME_TYPES = ['application/pdf', 'image/png', 'image/jpeg'];
+
+const DOCUMENT_COLUMNS = 'id, asset_id, document_type, filename, content_type, size, sha256, uploaded_by, uploaded_at';
+
+export function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+class AssetDocumentService {
+  /**
+   * Write an uploaded file to storage. Returns its storage key and hash; the caller
+   * links it to an asset with attach() (or discards it with storageService.delete).
+   */
+  async store(file) {
+    const key = `assets/${crypto.randomUUID()}`;
+    await storageService.put(key, file.buffer, { contentType: file.mimetype });
+    return { key, hash: sha256(file.buffer) };
+  }
+
+  async attach({ assetId, documentType, file, key, hash, userId }) {
+    const { data: document, error } = await supabaseAdmin
+      .from('asset_documents')
+      .insert({
+        asset_id: assetId,
+        document_type: documentType,
+        storage_key: key,
+        filename: file.originalname,
+        content_type: file.mimetype,
+        size: file.size,
+        sha256: hash,
+        uploaded_by: userId,
+        uploaded_at: new Date().toISOString()
+      })
+      .select(DOCUMENT_COLUMNS)
+      .single();
+
+    if (error) throw new Error(error.message);
+    return document;
+  }
+
+  async list(assetId) {
+    const { data, error } = await supabaseAdmin
+      .from('asset_documents')
+      .select(DOCUMENT_COLUMNS)
+      .eq('asset_id', assetId)
+      .order('uploaded_at', { ascending: true });
+
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+
+  /**
+   * The document record and file contents, or null if either is missing
+   */
+  async download(assetId, documentId) {
+    const { data: document, error } = await supabaseAdmin
+      .from('asset_documents')
+      .select('*')
+      .eq('id', documentId)
+      .eq('asset_id', assetId)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!document) return null;
+
+    const file = await storageService.get(document.storage_key);
+    return file ? { document, file } : null;
+  }
+}
+
+export const assetDocumentService = new AssetDocumentService();
@@ -0,0 +1,88 @@
+/**
+ * Asset Expiry Service
+ * A scheduled job moves dated assets (invoices, purchase orders) to `expired` once
+ * their due date has passed, and emails the owner. Assets still backing an open
+ * loan are left alone until the loan closes.
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { assetLifecycleService } from './assetLifecycle.js';
+import { jobQueueService } from './jobQueue.js';
+import { mailerService } from './mailer.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('AssetExpiry');
+
+export const EXPIRE_ASSETS_JOB = 'assets.expire';
+
+const EXPIRY_INTERVAL_MS = parseInt(process.env.ASSET_EXPIRY_INTERVAL_MS || String(60 * 60 * 1000));
+const BATCH_SIZE = 200;
+
+// Statuses that may move to expired (see the asset state machine)
+const EXPIRABLE_STATUSES = ['pending', 'verified', 'released'];
+
+class AssetExpiryService {
+  /**
+   * Expire every asset whose due date is before today (UTC). Returns the number expired.
+   */
+  async expireOverdue() {
+    const today = new Date().toISOString().slice(0, 10);
+
+    const { data: assets, error } = await supabaseAdmin
+      .from('assets')
+      .select('*')
+      .in('status', EXPIRABLE_STATUSES)
+      .lt('due_date', today)
+      .order('due_date', { ascending: true })
+      .limit(BATCH_SIZE);
+
+    if (error) throw new Error(error.message);
+
+    let expired = 0;
+    for (const asset of assets || []) {
+      if ((await assetLifecycleService.activeLoanIds(asset.id)).length > 0) continue;
+
+      try {
+        await assetLifecycleService.transition(asset, 'expired', { reason: `Past due date ${asset.due_date}` });
+        expired++;
+      } catch (transitionError) {
+        // Changed status since it was read; the next run picks it up if still due
+        logger.warn(`Could not expire asset ${asset.id}: ${transitionError.message}`);
+        continue;
+      }
+
+      await this.notifyOwner(asset)
+        .catch(mailError => logger.error(`Failed to notify owner of expired asset ${asset.id}:`, mailError));
+    }
+
+    if (expired > 0) logger.info(`Expired ${expired} overdue asset(s)`);
+    return expired;
+  }
+
+  async notifyOwner(asset) {
+    const { data: owner } = await supabaseAdmin
+      .from('profiles')
+      .select('email, name')
+      .eq('id', asset.user_id)
+      .maybeSingle();
+
+    if (!owner?.email) return;
+
+    await mailerService.send({
+      to: owner.email,
+      subject: `Your ${asset.type.replace('_', ' ')} has expired`,
+      text: [
+        `Hi ${owner.name || 'there'},`,
+        '',
+        `"${asset.asset_name || asset.description}" ($${asset.value}) was due on ${asset.due_date} and has been marked as expired.`,
+        'It can no longer be used as collateral for new loans.'
+      ].join('\n')
+    });
+  }
+}
+
+export const assetExpiryService = new AssetExpiryService();
+
+jobQueueService.schedule(EXPIRE_ASSETS_JOB, () => assetExpiryService.expireOverdue(), {
+  intervalMs: EXPIRY_INTERVAL_MS
+});
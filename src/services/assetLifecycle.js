@@ -0,0 +1,204 @@
+/**
+ * Asset Lifecycle Service
+ * State machine for assets.status, plus the edit lock held by open loans.
+ *
+ *   pending  -> verified | error | expired | withdrawn
+ *   verified -> pledged | pending (edited) | expired | withdrawn
+ *   pledged  -> released
+ *   released -> pledged | pending (edited) | expired | withdrawn
+ *   error    -> pending (edited) | withdrawn
+ *   expired  -> withdrawn
+ *   withdrawn is final. Withdrawn, expired and released assets may also be archived
+ *   (archived_at), which hides them from default listings.
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('AssetLifecycle');
+
+export const ASSET_STATUSES = ['pending', 'verified', 'pledged', 'released', 'expired', 'withdrawn', 'error'];
+
+const TRANSITIONS = {
+  pending: ['verified', 'error', 'expired', 'withdrawn'],
+  verified: ['pledged', 'pending', 'expired', 'withdrawn'],
+  pledged: ['released'],
+  released: ['pledged', 'pending', 'expired', 'withdrawn'],
+  error: ['pending', 'withdrawn'],
+  expired: ['withdrawn'],
+  withdrawn: []
+};
+
+// Statuses in which the owner may still edit details and documents
+export const EDITABLE_STATUSES = ['pending', 'verified', 'released', 'error'];
+
+export const ARCHIVABLE_STATUSES = ['withdrawn', 'expired', 'released'];
+
+// Loans in these statuses hold the asset: it cannot be edited, withdrawn or archived
+export const ACTIVE_LOAN_STATUSES = ['requested', 'approved', 'funded', 'active'];
+
+// Fields cleared whenever an edit invalidates a previous verification
+const VERIFICATION_RESET = {
+  verification_status: null,
+  verification_data: null,
+  verification_method: null,
+  verified_at: null,
+  verified_by: null,
+  verification_expires_at: null,
+  reverify_queued_at: null,
+  // A confirmation covered the invoice as it was; edits need a fresh one
+  counterparty_status: null,
+  counterparty_responded_at: null,
+  // Back into the manual review queue
+  review_status: null,
+  review_notes: null,
+  reviewed_by: null,
+  reviewed_at: null
+};
+
+export class AssetTransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot move asset from ${from} to ${to}`);
+    this.status = 409;
+  }
+}
+
+export class AssetLockedError extends Error {
+  constructor(loanIds) {
+    super('Asset is backing an active loan and cannot be changed');
+    this.status = 409;
+    this.loanIds = loanIds;
+  }
+}
+
+class AssetLifecycleService {
+  canTransition(from, to) {
+    return Boolean(TRANSITIONS[from]?.includes(to));
+  }
+
+  async activeLoanIds(assetId) {
+    const { data, error } = await supabaseAdmin
+      .from('loans')
+      .select('id')
+      .eq('asset_id', assetId)
+      .in('status', ACTIVE_LOAN_STATUSES);
+
+    if (error) throw new Error(error.message);
+    return (data || []).map(loan => loan.id);
+  }
+
+  /**
+   * Throw AssetLockedError if an open loan is backed by the asset
+   */
+  async assertUnlocked(asset) {
+    const loanIds = await this.activeLoanIds(asset.id);
+    if (loanIds.length > 0) throw new AssetLockedError(loanIds);
+  }
+
+  /**
+   * Move the asset to a new status, applying any extra column changes in the same write.
+   * Changes are applied after the verification reset, so a caller can keep a reset field.
+   * Fails if the asset changed status concurrently.
+   */
+  async transition(asset, to, { actorId = null, reason = null, changes = {} } = {}) {
+    if (!this.canTransition(asset.status, to)) {
+      throw new AssetTransitionError(asset.status, to);
+    }
+
+    const now = new Date().toISOString();
+    const update = to === 'pending' ? { ...VERIFICATION_RESET } : {};
+
+    Object.assign(update, changes, { status: to, updated_at: now });
+    if (to === 'withdrawn') update.withdrawn_at = now;
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('assets')
+      .update(update)
+      .eq('id', asset.id)
+      .eq('status', asset.status)
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!updated) throw new AssetTransitionError(asset.status, to);
+
+    await this.recordHistory(asset.id, asset.status, to, { actorId, reason, at: now });
+
+    logger.info(`Asset ${asset.id}: ${asset.status} -> ${to}${actorId ? ` by ${actorId}` : ''}`);
+    return updated;
+  }
+
+  /**
+   * Apply an owner edit. When resetVerification is set (value or documents changed),
+   * a verified/released/error asset returns to pending and loses its verification.
+   */
+  async update(asset, changes, { actorId, resetVerification = false }) {
+    if (resetVerification && asset.status !== 'pending') {
+      return this.transition(asset, 'pending', {
+        actorId,
+        reason: 'Edited after verification',
+        changes
+      });
+    }
+
+    const update = { ...changes, updated_at: new Date().toISOString() };
+    if (resetVerification) Object.assign(update, VERIFICATION_RESET);
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('assets')
+      .update(update)
+      .eq('id', asset.id)
+      .eq('status', asset.status)
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!updated) throw new AssetTransitionError(asset.status, asset.status);
+
+    return updated;
+  }
+
+  async archive(asset, { actorId }) {
+    const now = new Date().toISOString();
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('assets')
+      .update({ archived_at: now, updated_at: now })
+      .eq('id', asset.id)
+      .eq('status', asset.status)
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!updated) throw new AssetTransitionError(asset.status, 'archived');
+
+    await this.recordHistory(asset.id, asset.status, asset.status, { actorId, reason: 'Archived', at: now });
+    return updated;
+  }
+
+  async history(assetId) {
+    const { data, error } = await supabaseAdmin
+      .from('asset_status_history')
+      .select('from_status, to_status, actor_id, reason, created_at')
+      .eq('asset_id', assetId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+
+  async recordHistory(assetId, from, to, { actorId, reason, at }) {
+    const { error } = await supabaseAdmin.from('asset_status_history').insert({
+      asset_id: assetId,
+      from_status: from,
+      to_status: to,
+      actor_id: actorId,
+      reason,
+      created_at: at
+    });
+
+    if (error) logger.warn(`Failed to record status history for asset ${assetId}: ${error.message}`);
+  }
+}
+
+export const assetLifecycleService = new AssetLifecycleService();
@@ -0,0 +1,146 @@
+/**
+ * Asset Review Service
+ * Manual review of pending assets by reviewers. Each decision carries the reviewer's
+ * notes and is written to verification_logs.
+ *
+ *   approve      -> asset verified
+ *   reject       -> asset moves to error; the owner may edit and resubmit
+ *   request_info -> asset leaves the queue until the owner edits it or adds a document
+ *
+ * assets.review_status is null while an asset is awaiting review. Edits that reset
+ * verification also clear it, which returns the asset to the queue. Until then, later
+ * automated verification runs include the decision as the manual_review provider.
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { verificationExpiresAt } from '../config/verification.js';
+import { assetLifecycleService } from './assetLifecycle.js';
+import { verificationRulesService } from './verificationRules.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('AssetReview');
+
+export const REVIEW_DECISIONS = ['approve', 'reject', 'request_info'];
+
+const REVIEW_STATUS = { approve: 'approved', reject: 'rejected', request_info: 'info_requested' };
+const LOG_STATUS = { approve: 'success', reject: 'failed', request_info: 'info_requested' };
+
+// Decisions allowed for each review_status of a pending asset (null: awaiting review)
+const OPEN_REVIEW = {
+  awaiting: REVIEW_DECISIONS,
+  info_requested: ['approve', 'reject']
+};
+
+const QUEUE_COLUMNS = [
+  'id', 'user_id', 'org_id', 'type', 'asset_name', 'description', 'value', 'counterparty_email',
+  'document_url', 'document_hash', 'invoice_number', 'issue_date', 'due_date', 'status',
+  'verification_status', 'verification_method', 'verification_data', 'counterparty_status',
+  'duplicate_status', 'duplicate_score', 'created_at', 'updated_at'
+].join(', ');
+
+export class AssetReviewError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 409;
+  }
+}
+
+class AssetReviewService {
+  /**
+   * Pending assets awaiting a decision, oldest first. Reviewers never see their own assets.
+   */
+  async queue({ reviewerId, type, limit = 50, offset = 0 }) {
+    let query = supabaseAdmin
+      .from('assets')
+      .select(QUEUE_COLUMNS, { count: 'exact' })
+      .eq('status', 'pending')
+      .is('review_status', null)
+      .is('archived_at', null)
+      .neq('user_id', reviewerId)
+      .order('created_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (type) query = query.eq('type', type);
+
+    const { data, error, count } = await query;
+
+    if (error) throw new Error(error.message);
+    return { assets: data || [], total: count || 0 };
+  }
+
+  canDecide(asset, decision) {
+    return asset.status === 'pending' && Boolean(OPEN_REVIEW[asset.review_status ?? 'awaiting']?.includes(decision));
+  }
+
+  async decide(asset, { decision, notes, reviewerId }) {
+    if (!this.canDecide(asset, decision)) {
+      throw new AssetReviewError(
+        `Cannot ${decision.replace('_', ' ')} an asset that is ${asset.status}` +
+        (asset.review_status ? ` (${asset.review_status})` : '')
+      );
+    }
+
+    const now = new Date().toISOString();
+    const review = {
+      review_status: REVIEW_STATUS[decision],
+      review_notes: notes,
+      reviewed_by: reviewerId,
+      reviewed_at: now
+    };
+
+    let updated;
+    if (decision === 'approve') {
+      updated = await assetLifecycleService.transition(asset, 'verified', {
+        actorId: reviewerId,
+        reason: `Approved in review: ${notes}`,
+        changes: {
+          ...review,
+          verification_status: 'verified',
+          verification_method: 'manual_review',
+          verified_at: now,
+          verified_by: reviewerId,
+          verification_expires_at: verificationExpiresAt(asset.type, now)
+        }
+      });
+    } else if (decision === 'reject') {
+      updated = await assetLifecycleService.transition(asset, 'error', {
+        actorId: reviewerId,
+        reason: `Rejected in review: ${notes}`,
+        changes: {
+          ...review,
+          verification_status: 'verification_failed',
+          verification_method: 'manual_review',
+          verification_expires_at: null,
+          error_message: `Rejected in review: ${notes}`
+        }
+      });
+    } else {
+      updated = await assetLifecycleService.update(asset, review, { actorId: reviewerId });
+    }
+
+    const ruleSet = await verificationRulesService.active();
+
+    const { error } = await supabaseAdmin.from('verification_logs').insert({
+      asset_id: asset.id,
+      verification_method: 'manual_review',
+      status: LOG_STATUS[decision],
+      rule_set_version: ruleSet.version,
+      verification_data: {
+        decision,
+        notes,
+        reviewer_id: reviewerId,
+        previous_verification: asset.verification_data || null
+      },
+      error_message: decision === 'reject' ? notes : null,
+      reviewer_id: reviewerId,
+      notes
+    });
+
+    if (error) throw new Error(`Decision recorded but not logged: ${error.message}`);
+
+    logger.info(`Asset ${asset.id}: ${decision} by reviewer ${reviewerId}`);
+    return updated;
+  }
+}
+
+export const assetReviewService = new AssetReviewService();
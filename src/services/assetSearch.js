@@ -0,0 +1,171 @@
+/**
+ * Asset Search Service
+ * Filtered, sorted listing of the caller's assets with keyset (cursor) pagination:
+ * each page continues strictly after the last row of the previous one, so pages stay
+ * consistent while assets are being added.
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { organizationService } from './organizations.js';
+import { ASSET_STATUSES } from './assetLifecycle.js';
+import { encodeCursor, decodeCursor } from '../utils/cursor.js';
+
+export const ASSET_TYPES = ['deposit', 'purchase_order', 'invoice'];
+
+// verified_at is null until an asset is verified, so sorting on it lists verified assets only
+export const ASSET_SORT_FIELDS = ['created_at', 'value', 'verified_at'];
+
+const MAX_PAGE_SIZE = 100;
+const MAX_QUERY_LENGTH = 100;
+const IDENTIFIER_PATTERN = /^[a-z_]+$/;
+const ID_PATTERN = /^[A-Za-z0-9-]+$/;
+
+function list(param) {
+  return param ? String(param).split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+function date(param, name, errors) {
+  if (param === undefined) return null;
+  const parsed = new Date(param);
+  if (Number.isNaN(parsed.getTime())) {
+    errors.push(`${name} must be an ISO 8601 date`);
+    return null;
+  }
+  return parsed.toISOString();
+}
+
+function amount(param, name, errors) {
+  if (param === undefined) return null;
+  const parsed = Number(param);
+  if (param === '' || !Number.isFinite(parsed) || parsed < 0) {
+    errors.push(`${name} must be a non-negative number`);
+    return null;
+  }
+  return parsed;
+}
+
+// PostgREST filter strings treat , ( ) and " as syntax; * and % are wildcards
+function searchTerm(q) {
+  return String(q).replace(/[,()*%_\\"]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, MAX_QUERY_LENGTH);
+}
+
+/**
+ * Validate GET /api/assets query parameters. Returns { search, errors }.
+ */
+export function parseAssetSearch(query) {
+  const errors = [];
+
+  const status = list(query.status);
+  const type = list(query.type);
+  const verificationStatus = list(query.verification_status);
+
+  const badStatus = status.filter(s => !ASSET_STATUSES.includes(s));
+  if (badStatus.length > 0) errors.push(`status must be drawn from: ${ASSET_STATUSES.join(', ')}`);
+
+  const badType = type.filter(t => !ASSET_TYPES.includes(t));
+  if (badType.length > 0) errors.push(`type must be drawn from: ${ASSET_TYPES.join(', ')}`);
+
+  if (verificationStatus.some(v => !IDENTIFIER_PATTERN.test(v))) {
+    errors.push('verification_status must be lower-case words separated by commas');
+  }
+
+  const sort = query.sort || 'created_at';
+  if (!ASSET_SORT_FIELDS.includes(sort)) errors.push(`sort must be one of: ${ASSET_SORT_FIELDS.join(', ')}`);
+
+  const order = query.order || 'desc';
+  if (!['asc', 'desc'].includes(order)) errors.push('order must be asc or desc');
+
+  const limit = query.limit === undefined ? 50 : parseInt(query.limit);
+  if (!(limit >= 1 && limit <= MAX_PAGE_SIZE)) errors.push(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+
+  let after = null;
+  if (query.cursor) {
+    after = decodeCursor(query.cursor);
+    if (!after || after.sort !== sort || after.order !== order || !ID_PATTERN.test(after.id ?? '')) {
+      errors.push('cursor is invalid or was issued for a different sort');
+    }
+  }
+
+  const search = {
+    status,
+    type,
+    verificationStatus,
+    q: query.q ? searchTerm(query.q) : '',
+    minValue: amount(query.min_value, 'min_value', errors),
+    maxValue: amount(query.max_value, 'max_value', errors),
+    createdFrom: date(query.created_from, 'created_from', errors),
+    createdTo: date(query.created_to, 'created_to', errors),
+    verifiedFrom: date(query.verified_from, 'verified_from', errors),
+    verifiedTo: date(query.verified_to, 'verified_to', errors),
+    includeArchived: query.include_archived === 'true',
+    sort,
+    order,
+    limit,
+    after
+  };
+
+  if (search.minValue !== null && search.maxValue !== null && search.minValue > search.maxValue) {
+    errors.push('min_value cannot exceed max_value');
+  }
+
+  return { search, errors };
+}
+
+class AssetSearchService {
+  /**
+   * One page of assets visible to the caller. next_cursor is null on the last page.
+   */
+  async search(req, search) {
+    const { sort, order, limit, after } = search;
+    const ascending = order === 'asc';
+
+    let query = supabaseAdmin
+      .from('assets')
+      .select('*')
+      .or(await organizationService.ownershipFilter(req, 'user_id'))
+      .order(sort, { ascending })
+      .order('id', { ascending })
+      .limit(limit + 1);
+
+    if (search.status.length > 0) query = query.in('status', search.status);
+    if (search.type.length > 0) query = query.in('type', search.type);
+    if (search.verificationStatus.length > 0) query = query.in('verification_status', search.verificationStatus);
+    if (!search.includeArchived) query = query.is('archived_at', null);
+
+    if (search.minValue !== null) query = query.gte('value', search.minValue);
+    if (search.maxValue !== null) query = query.lte('value', search.maxValue);
+    if (search.createdFrom) query = query.gte('created_at', search.createdFrom);
+    if (search.createdTo) query = query.lte('created_at', search.createdTo);
+    if (search.verifiedFrom) query = query.gte('verified_at', search.verifiedFrom);
+    if (search.verifiedTo) query = query.lte('verified_at', search.verifiedTo);
+    if (sort === 'verified_at') query = query.not('verified_at', 'is', null);
+
+    if (search.q) {
+      query = query.or(`asset_name.ilike.*${search.q}*,description.ilike.*${search.q}*`);
+    }
+
+    // Rows strictly after the cursor in (sort, id) order
+    if (after) {
+      const op = ascending ? 'gt' : 'lt';
+      const value = `"${String(after.value).replace(/["\\]/g, '')}"`;
+      query = query.or(`${sort}.${op}.${value},and(${sort}.eq.${value},id.${op}.${after.id})`);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw new Error(error.message);
+
+    const rows = data || [];
+    const assets = rows.slice(0, limit);
+    const last = assets[assets.length - 1];
+
+    return {
+      assets,
+      nextCursor: rows.length > limit
+        ? encodeCursor({ sort, order, value: last[sort], id: last.id })
+        : null
+    };
+  }
+}
+
+export const assetSearchService = new AssetSearchService();
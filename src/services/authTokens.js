@@ -0,0 +1,76 @@
+/**
+ * Auth Token Service
+ * Single-use, expiring tokens for password reset and email change.
+ * Only a SHA-256 hash of each token is stored.
+ */
+
+import crypto from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+
+export const TOKEN_PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_CHANGE: 'email_change'
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class AuthTokenService {
+  /**
+   * Issue a new token, invalidating any unused token of the same purpose for the user
+   */
+  async issue({ userId, purpose, ttlMinutes, payload = {} }) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    const { error: invalidateError } = await supabaseAdmin
+      .from('auth_tokens')
+      .update({ used_at: now.toISOString() })
+      .eq('user_id', userId)
+      .eq('purpose', purpose)
+      .is('used_at', null);
+
+    if (invalidateError) throw new Error(invalidateError.message);
+
+    const { error } = await supabaseAdmin
+      .from('auth_tokens')
+      .insert({
+        user_id: userId,
+        purpose,
+        token_hash: hashToken(token),
+        payload,
+        expires_at: new Date(now.getTime() + ttlMinutes * 60 * 1000).toISOString(),
+        created_at: now.toISOString()
+      });
+
+    if (error) throw new Error(error.message);
+
+    return token;
+  }
+
+  /**
+   * Mark a token as used and return its record, or null if it is unknown,
+   * already used or expired
+   */
+  async consume(token, purpose) {
+    if (!token) return null;
+
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabaseAdmin
+      .from('auth_tokens')
+      .update({ used_at: now })
+      .eq('token_hash', hashToken(token))
+      .eq('purpose', purpose)
+      .is('used_at', null)
+      .gt('expires_at', now)
+      .select('user_id, payload')
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+}
+
+export const authTokenService = new AuthTokenService();
@@ -18,8 +18,8 @@ class BlockchainService {
     this.mockMode = true;
   }
 
-  async createAsset({ type, ownerEmail, value }) {
-    logger.info(`[MOCK] Creating asset: type=${type}, value=${value}`);
+  async createAsset({ type, ownerEmail, value, documentHash }) {
+    logger.info(`[MOCK] Creating asset: type=${type}, value=${value}, documentHash=${documentHash || 'none'}`);
     
     // Simulate blockchain delay
     await new Promise(resolve => setTimeout(resolve, 1000));
@@ -96,8 +96,28 @@ class BlockchainService {
     };
   }
 
-  async notifyOracleForVerification(assetId) {
-    logger.info(`[MOCK] Oracle notified for asset ${assetId}`);
+  /**
+   * Ask the oracle to verify an asset. It reports back to callbackUrl. Without
+   * ORACLE_SERVICE_URL the request is only logged.
+   */
+  async notifyOracleForVerification({ requestId, callbackUrl, ...asset }) {
+    if (!process.env.ORACLE_SERVICE_URL) {
+      logger.info(`[MOCK] Oracle notified for asset ${asset.assetId} (request ${requestId})`);
+      return { notified: true };
+    }
+
+    const response = await fetch(`${process.env.ORACLE_SERVICE_URL}/verification-requests`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ requestId, callbackUrl, ...asset }),
+      signal: AbortSignal.timeout(10000)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Oracle rejected verification request: ${response.status}`);
+    }
+
+    logger.info(`Oracle notified for asset ${asset.assetId} (request ${requestId})`);
     return { notified: true };
   }
 }
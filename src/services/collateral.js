@@ -0,0 +1,145 @@
+/**
+ * Collateral Service
+ * Encumbrances record how much of an asset's value is pledged to each loan, so the
+ * same asset cannot back more than its value. A pledge is taken when a loan is
+ * requested and released when the loan is rejected, cancelled or repaid.
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { assetLifecycleService } from './assetLifecycle.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('CollateralService');
+
+// Asset statuses that can take on (further) pledges
+export const PLEDGEABLE_STATUSES = ['pending', 'verified', 'pledged', 'released'];
+
+export class InsufficientCollateralError extends Error {
+  constructor(available, requested) {
+    super(`Requested amount ${requested} exceeds the asset's unpledged value of ${available}`);
+    this.status = 409;
+    this.available = available;
+  }
+}
+
+export class InvalidPledgeAmountError extends Error {
+  constructor(amount) {
+    super(`Pledge amount must be a positive number, got ${amount}`);
+    this.status = 400;
+  }
+}
+
+class CollateralService {
+  async activeEncumbrances(assetId) {
+    const { data, error } = await supabaseAdmin
+      .from('asset_encumbrances')
+      .select('id, loan_id, amount, created_at')
+      .eq('asset_id', assetId)
+      .eq('status', 'active');
+
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+
+  async pledgedAmount(assetId) {
+    const encumbrances = await this.activeEncumbrances(assetId);
+    return encumbrances.reduce((sum, e) => sum + parseFloat(e.amount), 0);
+  }
+
+  async availableValue(asset) {
+    return parseFloat(asset.value || 0) - await this.pledgedAmount(asset.id);
+  }
+
+  /**
+   * Pledge part of the asset's value to a loan. Throws InsufficientCollateralError
+   * if the asset does not have enough unpledged value left.
+   */
+  async pledge({ asset, loanId, amount }) {
+    const requested = Number(amount);
+
+    // A negative or non-numeric pledge would raise the asset's available value
+    if (!Number.isFinite(requested) || requested <= 0) {
+      throw new InvalidPledgeAmountError(amount);
+    }
+
+    const available = await this.availableValue(asset);
+
+    if (requested > available) {
+      throw new InsufficientCollateralError(available, requested);
+    }
+
+    const { data: encumbrance, error } = await supabaseAdmin
+      .from('asset_encumbrances')
+      .insert({
+        asset_id: asset.id,
+        loan_id: loanId,
+        amount: requested,
+        status: 'active',
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    // Re-check after writing: a concurrent request may have pledged the same value
+    const pledged = await this.pledgedAmount(asset.id);
+    if (pledged > parseFloat(asset.value || 0)) {
+      await supabaseAdmin.from('asset_encumbrances').delete().eq('id', encumbrance.id);
+      throw new InsufficientCollateralError(parseFloat(asset.value) - (pledged - requested), requested);
+    }
+
+    logger.info(`Asset ${asset.id}: ${requested} pledged to loan ${loanId} (${pledged}/${asset.value})`);
+    return encumbrance;
+  }
+
+  /**
+   * Once a loan is approved the asset is formally pledged
+   */
+  async markPledged(assetId, { actorId }) {
+    const asset = await this.getAsset(assetId);
+
+    if (asset && assetLifecycleService.canTransition(asset.status, 'pledged')) {
+      await assetLifecycleService.transition(asset, 'pledged', { actorId, reason: 'Loan approved' });
+    }
+  }
+
+  /**
+   * Release every active pledge held by a loan. The asset returns to `released`
+   * when nothing else is pledged against it.
+   */
+  async release(loanId, { reason, actorId = null }) {
+    const { data: released, error } = await supabaseAdmin
+      .from('asset_encumbrances')
+      .update({ status: 'released', released_at: new Date().toISOString(), release_reason: reason })
+      .eq('loan_id', loanId)
+      .eq('status', 'active')
+      .select('asset_id, amount');
+
+    if (error) throw new Error(error.message);
+
+    for (const { asset_id: assetId, amount } of released || []) {
+      logger.info(`Asset ${assetId}: ${amount} released from loan ${loanId} (${reason})`);
+
+      const asset = await this.getAsset(assetId);
+      if (asset?.status === 'pledged' && (await this.activeEncumbrances(assetId)).length === 0) {
+        await assetLifecycleService.transition(asset, 'released', { actorId, reason: `Loan ${reason}` });
+      }
+    }
+
+    return (released || []).length;
+  }
+
+  async getAsset(assetId) {
+    const { data, error } = await supabaseAdmin
+      .from('assets')
+      .select('*')
+      .eq('id', assetId)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+}
+
+export const collateralService = new CollateralService();
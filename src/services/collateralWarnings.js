@@ -0,0 +1,116 @@
+/**
+ * Collateral Warning Service
+ * Warnings for lenders about the verification of an asset backing their loan:
+ *
+ *   verification_lapsed    the validity period ended without a successful re-verification
+ *   verification_expiring  the verification lapses within REVERIFICATION_LEAD_DAYS
+ *   verification_changed   a later verification run reached a different result than
+ *                          the one in place when the loan was requested
+ *
+ * Lenders on open loans are also emailed when a verification lapses or changes.
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { reverificationDueBy } from '../config/verification.js';
+import { ACTIVE_LOAN_STATUSES } from './assetLifecycle.js';
+import { mailerService } from './mailer.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('CollateralWarnings');
+
+// Asset columns the warnings are computed from
+export const WARNING_COLUMNS = [
+  'verification_status', 'verification_expires_at', 'previous_verification_status', 'verification_changed_at'
+];
+
+const STATUS_LABELS = {
+  verified: 'verified',
+  verification_failed: 'failed verification',
+  verification_expired: 'verification lapsed',
+  verification_pending: 'awaiting verification'
+};
+
+/**
+ * Warnings for the asset behind a loan; empty when there is nothing to flag
+ */
+export function collateralWarnings(asset, loan, now = new Date()) {
+  if (!asset) return [];
+
+  const warnings = [];
+  const expiresAt = asset.verification_expires_at;
+
+  const lapsed = asset.verification_status === 'verification_expired' ||
+    (asset.verification_status === 'verified' && expiresAt && new Date(expiresAt) <= now);
+
+  if (lapsed) {
+    warnings.push({
+      code: 'verification_lapsed',
+      message: 'Collateral verification has lapsed',
+      since: expiresAt || null
+    });
+  } else if (asset.verification_status === 'verified' && expiresAt &&
+      new Date(expiresAt) <= new Date(reverificationDueBy(now))) {
+    warnings.push({
+      code: 'verification_expiring',
+      message: `Collateral verification lapses on ${expiresAt.slice(0, 10)}`,
+      since: null
+    });
+  }
+
+  const changedSinceRequest = asset.verification_changed_at &&
+    (!loan?.created_at || new Date(asset.verification_changed_at) > new Date(loan.created_at));
+
+  // A lapse is itself a change of result; one warning is enough
+  if (!lapsed && changedSinceRequest && asset.previous_verification_status &&
+      asset.previous_verification_status !== asset.verification_status) {
+    warnings.push({
+      code: 'verification_changed',
+      message: `Collateral verification changed from ${STATUS_LABELS[asset.previous_verification_status] || asset.previous_verification_status}` +
+        ` to ${STATUS_LABELS[asset.verification_status] || asset.verification_status}`,
+      since: asset.verification_changed_at
+    });
+  }
+
+  return warnings;
+}
+
+class CollateralWarningService {
+  /**
+   * Email the lenders of open loans backed by the asset about a changed verification result
+   */
+  async notifyLenders(asset, { from, to }) {
+    const { data: loans, error } = await supabaseAdmin
+      .from('loans')
+      .select('id, lender_id, amount_requested, amount')
+      .eq('asset_id', asset.id)
+      .in('status', ACTIVE_LOAN_STATUSES)
+      .not('lender_id', 'is', null);
+
+    if (error) throw new Error(error.message);
+
+    for (const loan of loans || []) {
+      const { data: lender } = await supabaseAdmin
+        .from('profiles')
+        .select('email, name')
+        .eq('id', loan.lender_id)
+        .maybeSingle();
+
+      if (!lender?.email) continue;
+
+      await mailerService.send({
+        to: lender.email,
+        subject: `Collateral ${STATUS_LABELS[to] || to}`,
+        text: [
+          `Hi ${lender.name || 'there'},`,
+          '',
+          `The collateral for loan ${loan.id} ($${loan.amount || loan.amount_requested}), ` +
+            `"${asset.asset_name || asset.description}", changed from ${STATUS_LABELS[from] || from} to ${STATUS_LABELS[to] || to}.`,
+          '',
+          'Review the loan and the asset\'s verification history before taking further action.'
+        ].join('\n')
+      }).catch(mailError => logger.error(`Failed to warn lender of loan ${loan.id}:`, mailError));
+    }
+  }
+}
+
+export const collateralWarningService = new CollateralWarningService();
@@ -0,0 +1,127 @@
+/**
+ * Counterparty Confirmation Service
+ * Asks an invoice's debtor to confirm or dispute it through a tokenized link, in the
+ * same spirit as escrow invites. Only a SHA-256 hash of each token is stored. The
+ * outcome is recorded on the asset (counterparty_status) and used by verification.
+ */
+
+import crypto from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('CounterpartyService');
+
+const CONFIRMATION_TTL_DAYS = parseInt(process.env.COUNTERPARTY_CONFIRMATION_TTL_DAYS || '14');
+
+export const COUNTERPARTY_RESPONSES = ['confirmed', 'disputed'];
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class CounterpartyService {
+  /**
+   * Issue a new confirmation request for the asset, superseding any pending one
+   */
+  async request(asset, { requestedBy }) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    const { error: supersedeError } = await supabaseAdmin
+      .from('asset_confirmations')
+      .update({ status: 'superseded' })
+      .eq('asset_id', asset.id)
+      .eq('status', 'pending');
+
+    if (supersedeError) throw new Error(supersedeError.message);
+
+    const { data: confirmation, error } = await supabaseAdmin
+      .from('asset_confirmations')
+      .insert({
+        asset_id: asset.id,
+        counterparty_email: asset.counterparty_email.trim().toLowerCase(),
+        token_hash: hashToken(token),
+        status: 'pending',
+        requested_by: requestedBy,
+        expires_at: new Date(now.getTime() + CONFIRMATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+        created_at: now.toISOString()
+      })
+      .select('id, asset_id, counterparty_email, status, expires_at, created_at')
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    const { error: assetError } = await supabaseAdmin
+      .from('assets')
+      .update({ counterparty_status: 'requested', counterparty_responded_at: null })
+      .eq('id', asset.id);
+
+    if (assetError) throw new Error(assetError.message);
+
+    return { confirmation, token };
+  }
+
+  /**
+   * The pending, unexpired confirmation for a token, with its asset and issuer
+   */
+  async find(token) {
+    if (!token) return null;
+
+    const { data, error } = await supabaseAdmin
+      .from('asset_confirmations')
+      .select('*, assets(id, user_id, type, asset_name, description, value, counterparty_email, status, created_at)')
+      .eq('token_hash', hashToken(token))
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  isOpen(confirmation) {
+    return confirmation.status === 'pending' && new Date(confirmation.expires_at).getTime() > Date.now();
+  }
+
+  async respond(confirmation, { response, name, note, ip }) {
+    const now = new Date().toISOString();
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('asset_confirmations')
+      .update({
+        status: response,
+        responder_name: name,
+        response_note: note || null,
+        responder_ip: ip || null,
+        responded_at: now
+      })
+      .eq('id', confirmation.id)
+      .eq('status', 'pending')
+      .select('id, asset_id, status, responder_name, response_note, responded_at')
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!updated) return null;
+
+    const { error: assetError } = await supabaseAdmin
+      .from('assets')
+      .update({ counterparty_status: response, counterparty_responded_at: now })
+      .eq('id', confirmation.asset_id);
+
+    if (assetError) throw new Error(assetError.message);
+
+    logger.info(`Counterparty ${response} invoice asset ${confirmation.asset_id}`);
+    return updated;
+  }
+
+  async history(assetId) {
+    const { data, error } = await supabaseAdmin
+      .from('asset_confirmations')
+      .select('id, counterparty_email, status, responder_name, response_note, expires_at, responded_at, created_at')
+      .eq('asset_id', assetId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+}
+
+export const counterpartyService = new CounterpartyService();
@@ -0,0 +1,200 @@
+/**
+ * Duplicate Detection Service
+ * Fingerprints each asset from its document hash, counterparty, amount, invoice number
+ * and dates, and looks the fingerprints up across every asset on the platform. Likely
+ * duplicates are flagged on the asset for a lender to dismiss or confirm.
+ *
+ * assets.duplicate_status: none | flagged | dismissed | confirmed
+ */
+
+import crypto from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('DuplicateDetection');
+
+// How strongly a shared fingerprint suggests the same underlying invoice
+export const DUPLICATE_SIGNALS = {
+  document_hash: 1.0,
+  invoice_number: 0.9,
+  counterparty_amount_issue_date: 0.7,
+  counterparty_amount_due_date: 0.6
+};
+
+const FLAG_THRESHOLD = 0.6;
+
+// Asset columns that feed a fingerprint; changing any of them calls for a fresh scan
+export const FINGERPRINT_FIELDS = ['document_hash', 'counterparty_email', 'value', 'invoice_number', 'issue_date', 'due_date'];
+
+export const DUPLICATE_REVIEW_DECISIONS = ['dismissed', 'confirmed'];
+
+// Assets that went on to back a loan: reusing their invoice is the fraud case
+const FINANCED_STATUSES = ['pledged', 'released'];
+
+const normalizeEmail = email => email?.trim().toLowerCase() || null;
+
+// "INV-000123", "inv 123" and "#123" all describe the same number
+const normalizeInvoiceNumber = number =>
+  number ? String(number).toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/^(INV)?0*/, '') || null : null;
+
+const normalizeAmount = value => (Number(value) > 0 ? Number(value).toFixed(2) : null);
+
+const normalizeDate = date => (date ? String(date).slice(0, 10) : null);
+
+function hash(signal, parts) {
+  return crypto.createHash('sha256').update(`${signal}:${parts.join('|')}`).digest('hex');
+}
+
+class DuplicateDetectionService {
+  /**
+   * The fingerprints an asset can be matched on. Signals whose inputs are missing are skipped.
+   */
+  fingerprints(asset) {
+    const counterparty = normalizeEmail(asset.counterparty_email);
+    const amount = normalizeAmount(asset.value);
+    const invoiceNumber = normalizeInvoiceNumber(asset.invoice_number);
+    const issueDate = normalizeDate(asset.issue_date);
+    const dueDate = normalizeDate(asset.due_date);
+
+    const candidates = {
+      document_hash: asset.document_hash ? [asset.document_hash] : null,
+      invoice_number: counterparty && invoiceNumber ? [counterparty, invoiceNumber] : null,
+      counterparty_amount_issue_date: counterparty && amount && issueDate ? [counterparty, amount, issueDate] : null,
+      counterparty_amount_due_date: counterparty && amount && dueDate ? [counterparty, amount, dueDate] : null
+    };
+
+    return Object.entries(candidates)
+      .filter(([, parts]) => parts)
+      .map(([signal, parts]) => ({ signal, fingerprint: hash(signal, parts) }));
+  }
+
+  /**
+   * Record the asset's fingerprints, match them against every other asset and store
+   * the outcome on the asset. Returns { status, score, matches }.
+   */
+  async scan(asset) {
+    const fingerprints = this.fingerprints(asset);
+
+    const { error: deleteError } = await supabaseAdmin
+      .from('asset_fingerprints')
+      .delete()
+      .eq('asset_id', asset.id);
+
+    if (deleteError) throw new Error(deleteError.message);
+
+    if (fingerprints.length > 0) {
+      const { error: insertError } = await supabaseAdmin
+        .from('asset_fingerprints')
+        .insert(fingerprints.map(({ signal, fingerprint }) => ({
+          asset_id: asset.id,
+          signal,
+          fingerprint,
+          created_at: new Date().toISOString()
+        })));
+
+      if (insertError) throw new Error(insertError.message);
+    }
+
+    const matches = await this.findMatches(asset, fingerprints);
+    const score = Math.max(0, ...matches.map(match => match.score));
+    const status = score >= FLAG_THRESHOLD ? 'flagged' : 'none';
+
+    const { error: updateError } = await supabaseAdmin
+      .from('assets')
+      .update({
+        duplicate_status: status,
+        duplicate_score: score,
+        duplicate_matches: matches,
+        duplicate_checked_at: new Date().toISOString(),
+        duplicate_reviewed_by: null,
+        duplicate_reviewed_at: null,
+        duplicate_review_notes: null
+      })
+      .eq('id', asset.id);
+
+    if (updateError) throw new Error(updateError.message);
+
+    if (status === 'flagged') {
+      logger.warn(`Asset ${asset.id} flagged as a possible duplicate of ${matches.map(m => m.asset_id).join(', ')}`);
+    }
+
+    return { status, score, matches };
+  }
+
+  async findMatches(asset, fingerprints) {
+    if (fingerprints.length === 0) return [];
+
+    const { data, error } = await supabaseAdmin
+      .from('asset_fingerprints')
+      .select('signal, asset_id, assets!inner(id, user_id, org_id, type, status, value, created_at)')
+      .in('fingerprint', fingerprints.map(f => f.fingerprint))
+      .neq('asset_id', asset.id)
+      .neq('assets.status', 'withdrawn');
+
+    if (error) throw new Error(error.message);
+
+    const byAsset = new Map();
+    for (const { signal, assets: other } of data || []) {
+      const match = byAsset.get(other.id) || {
+        asset_id: other.id,
+        type: other.type,
+        status: other.status,
+        created_at: other.created_at,
+        same_owner: other.user_id === asset.user_id || Boolean(asset.org_id && other.org_id === asset.org_id),
+        financed: FINANCED_STATUSES.includes(other.status),
+        signals: [],
+        score: 0
+      };
+      match.signals.push(signal);
+      match.score = Math.max(match.score, DUPLICATE_SIGNALS[signal]);
+      byAsset.set(other.id, match);
+    }
+
+    return [...byAsset.values()].sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Record a lender's decision on a flagged asset. Returns null if it is no longer flagged.
+   */
+  async review(asset, { decision, notes, reviewerId }) {
+    const { data, error } = await supabaseAdmin
+      .from('assets')
+      .update({
+        duplicate_status: decision,
+        duplicate_reviewed_by: reviewerId,
+        duplicate_reviewed_at: new Date().toISOString(),
+        duplicate_review_notes: notes || null
+      })
+      .eq('id', asset.id)
+      .eq('duplicate_status', 'flagged')
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+
+    if (data) logger.info(`Duplicate flag on asset ${asset.id} ${decision} by ${reviewerId}`);
+    return data;
+  }
+
+  /**
+   * Flagged assets, optionally limited to the given IDs
+   */
+  async flagged({ assetIds = null, limit = 50, offset = 0 } = {}) {
+    let query = supabaseAdmin
+      .from('assets')
+      .select('id, user_id, org_id, type, asset_name, value, counterparty_email, invoice_number, issue_date, due_date, status, duplicate_score, duplicate_matches, duplicate_checked_at, created_at', { count: 'exact' })
+      .eq('duplicate_status', 'flagged')
+      .order('duplicate_score', { ascending: false })
+      .order('created_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (assetIds) query = query.in('id', assetIds);
+
+    const { data, error, count } = await query;
+
+    if (error) throw new Error(error.message);
+    return { assets: data || [], total: count || 0 };
+  }
+}
+
+export const duplicateDetectionService = new DuplicateDetectionService();
@@ -0,0 +1,330 @@
+/**
+ * Job Queue Service
+ * Background jobs persisted in the `jobs` table and run by a polling worker in this
+ * process, so queued work survives restarts without an external broker.
+ *
+ *   queued -> running -> succeeded
+ *                     -> queued (retry after backoff)
+ *                     -> dead (attempts exhausted; retry from the admin API)
+ *
+ * A job left `running` by a crashed worker is requeued once its lock goes stale, or
+ * moved to `dead` if that was its last attempt.
+ * Handlers must therefore be safe to run more than once.
+ *
+ * Scheduled job types run periodically: whenever none is queued or running, the
+ * worker queues the next run one interval after the last successful one.
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('JobQueue');
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || '5000');
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || '3');
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '5');
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'dead'];
+
+// Exponential backoff: 30s, 1m, 2m, 4m ... capped at an hour
+function backoffMs(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+}
+
+class JobQueueService {
+  constructor() {
+    this.handlers = new Map();
+    this.schedules = new Map();
+    this.running = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Register the handler for a job type. onDeadLetter runs once when the job
+   * exhausts its attempts.
+   */
+  register(type, handler, { maxAttempts = DEFAULT_MAX_ATTEMPTS, onDeadLetter = null } = {}) {
+    this.handlers.set(type, { handler, maxAttempts, onDeadLetter });
+  }
+
+  /**
+   * Register a handler and run it every intervalMs
+   */
+  schedule(type, handler, { intervalMs, ...options }) {
+    this.register(type, handler, options);
+    this.schedules.set(type, intervalMs);
+  }
+
+  async enqueue(type, payload, options = {}) {
+    const [job] = await this.enqueueMany(type, [payload], options);
+    return job;
+  }
+
+  async enqueueMany(type, payloads, { runAt = null } = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const now = new Date().toISOString();
+    const { maxAttempts } = this.handlers.get(type);
+
+    const { data, error } = await supabaseAdmin
+      .from('jobs')
+      .insert(payloads.map(payload => ({
+        type,
+        payload,
+        status: 'queued',
+        attempts: 0,
+        max_attempts: maxAttempts,
+        run_at: runAt || now,
+        created_at: now,
+        updated_at: now
+      })))
+      .select('id, type, status, run_at');
+
+    if (error) throw new Error(error.message);
+
+    logger.info(`Queued ${data.length} ${type} job(s)`);
+    return data;
+  }
+
+  start({ intervalMs = POLL_INTERVAL_MS } = {}) {
+    if (this.timer) return;
+
+    const tick = async () => {
+      try {
+        await this.poll();
+      } catch (error) {
+        logger.error('Job poll failed:', error);
+      }
+      if (this.timer) this.timer = setTimeout(tick, intervalMs);
+    };
+
+    this.timer = setTimeout(tick, 0);
+    logger.info(`Job worker started (every ${intervalMs}ms, concurrency ${CONCURRENCY})`);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Requeue stale jobs and queue scheduled runs, then claim and run due jobs up to
+   * the concurrency limit
+   */
+  async poll() {
+    await this.requeueStale();
+    await this.queueScheduled();
+
+    const free = CONCURRENCY - this.running;
+    if (free <= 0) return;
+
+    const { data: due, error } = await supabaseAdmin
+      .from('jobs')
+      .select('*')
+      .eq('status', 'queued')
+      .lte('run_at', new Date().toISOString())
+      .in('type', [...this.handlers.keys()])
+      .order('run_at', { ascending: true })
+      .limit(free);
+
+    if (error) throw new Error(error.message);
+
+    for (const job of due || []) {
+      const claimed = await this.claim(job);
+      if (!claimed) continue;
+
+      this.running++;
+      this.execute(claimed).finally(() => { this.running--; });
+    }
+  }
+
+  /**
+   * Take the job for this worker. Returns null if another worker got it first.
+   */
+  async claim(job) {
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabaseAdmin
+      .from('jobs')
+      .update({ status: 'running', attempts: job.attempts + 1, locked_at: now, updated_at: now })
+      .eq('id', job.id)
+      .eq('status', 'queued')
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  async execute(job) {
+    const { handler, onDeadLetter } = this.handlers.get(job.type);
+
+    try {
+      await handler(job.payload, job);
+      await this.finish(job, { status: 'succeeded', completed_at: new Date().toISOString(), last_error: null });
+      logger.info(`Job ${job.id} (${job.type}) succeeded on attempt ${job.attempts}`);
+
+    } catch (error) {
+      if (job.attempts >= job.max_attempts) {
+        logger.error(`Job ${job.id} (${job.type}) dead after ${job.attempts} attempts:`, error);
+        await this.finish(job, { status: 'dead', last_error: error.message });
+        await this.deadLetter(job, error, onDeadLetter);
+        return;
+      }
+
+      const delay = backoffMs(job.attempts);
+      logger.warn(`Job ${job.id} (${job.type}) failed on attempt ${job.attempts}, retrying in ${delay / 1000}s: ${error.message}`);
+      await this.finish(job, {
+        status: 'queued',
+        last_error: error.message,
+        run_at: new Date(Date.now() + delay).toISOString()
+      });
+    }
+  }
+
+  // Run the type's dead-letter hook; a failing hook is logged, never retried
+  async deadLetter(job, error, onDeadLetter) {
+    if (!onDeadLetter) return;
+
+    await Promise.resolve(onDeadLetter(job.payload, error))
+      .catch(hookError => logger.error(`Dead-letter handler failed for job ${job.id}:`, hookError));
+  }
+
+  async finish(job, changes) {
+    const { error } = await supabaseAdmin
+      .from('jobs')
+      .update({ ...changes, locked_at: null, updated_at: new Date().toISOString() })
+      .eq('id', job.id)
+      .eq('status', 'running');
+
+    if (error) logger.error(`Failed to update job ${job.id}: ${error.message}`);
+  }
+
+  async queueScheduled() {
+    for (const [type, intervalMs] of this.schedules) {
+      const { data: pending, error } = await supabaseAdmin
+        .from('jobs')
+        .select('id')
+        .eq('type', type)
+        .in('status', ['queued', 'running'])
+        .limit(1);
+
+      if (error) throw new Error(error.message);
+      if (pending.length > 0) continue;
+
+      const { data: last, error: lastError } = await supabaseAdmin
+        .from('jobs')
+        .select('completed_at')
+        .eq('type', type)
+        .eq('status', 'succeeded')
+        .order('completed_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (lastError) throw new Error(lastError.message);
+
+      const next = last ? new Date(last.completed_at).getTime() + intervalMs : Date.now();
+      await this.enqueue(type, {}, { runAt: new Date(Math.max(next, Date.now())).toISOString() });
+    }
+  }
+
+  /**
+   * Jobs still `running` long after being claimed belong to a worker that died.
+   * The lost run counts as an attempt, so a job with none left goes to `dead`.
+   */
+  async requeueStale() {
+    const { data: stale, error } = await supabaseAdmin
+      .from('jobs')
+      .select('*')
+      .eq('status', 'running')
+      .lt('locked_at', new Date(Date.now() - LOCK_TIMEOUT_MS).toISOString());
+
+    if (error) throw new Error(error.message);
+
+    let requeued = 0;
+
+    for (const job of stale || []) {
+      const exhausted = job.attempts >= job.max_attempts;
+
+      // Matching the lock we read keeps two workers from handling the same stale job
+      const { data: updated, error: updateError } = await supabaseAdmin
+        .from('jobs')
+        .update({
+          status: exhausted ? 'dead' : 'queued',
+          locked_at: null,
+          last_error: 'Worker lock expired',
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', job.id)
+        .eq('status', 'running')
+        .eq('locked_at', job.locked_at)
+        .select('id')
+        .maybeSingle();
+
+      if (updateError) throw new Error(updateError.message);
+      if (!updated) continue;
+
+      if (!exhausted) {
+        requeued++;
+        continue;
+      }
+
+      logger.error(`Job ${job.id} (${job.type}) dead after ${job.attempts} attempts: worker lock expired`);
+      await this.deadLetter(job, new Error('Worker lock expired'), this.handlers.get(job.type)?.onDeadLetter);
+    }
+
+    if (requeued) logger.warn(`Requeued ${requeued} stale job(s)`);
+  }
+
+  async list({ status, type, limit = 50, offset = 0 } = {}) {
+    let query = supabaseAdmin
+      .from('jobs')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) query = query.eq('status', status);
+    if (type) query = query.eq('type', type);
+
+    const { data, error, count } = await query;
+
+    if (error) throw new Error(error.message);
+    return { jobs: data || [], total: count || 0 };
+  }
+
+  async get(id) {
+    const { data, error } = await supabaseAdmin
+      .from('jobs')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * Give a dead job a fresh set of attempts. Returns null if it is not dead.
+   */
+  async retry(id) {
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabaseAdmin
+      .from('jobs')
+      .update({ status: 'queued', attempts: 0, run_at: now, updated_at: now })
+      .eq('id', id)
+      .eq('status', 'dead')
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+}
+
+export const jobQueueService = new JobQueueService();
@@ -0,0 +1,182 @@
+/**
+ * KYB Service
+ * Business verification (Know Your Business) applications for SME accounts
+ *
+ * Status flow: not_started -> submitted -> in_review -> approved | rejected
+ * A rejected application can be edited and submitted again.
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('KybService');
+
+export const KYB_STATUSES = ['not_started', 'submitted', 'in_review', 'approved', 'rejected'];
+
+const TRANSITIONS = {
+  not_started: ['submitted'],
+  submitted: ['in_review'],
+  in_review: ['approved', 'rejected'],
+  rejected: ['submitted'],
+  approved: []
+};
+
+// Statuses in which the SME may still change details, owners and documents
+export const EDITABLE_STATUSES = ['not_started', 'rejected'];
+
+export const DOCUMENT_TYPES = ['incorporation_certificate', 'bank_statement', 'bank_letter', 'shareholder_register', 'other'];
+
+// At least one document from each group is needed to submit
+const REQUIRED_DOCUMENT_GROUPS = [
+  ['incorporation_certificate'],
+  ['bank_statement', 'bank_letter']
+];
+
+const REQUIRED_COMPANY_FIELDS = ['company_name', 'registration_number', 'incorporation_country', 'business_address'];
+
+export class KybTransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot move KYB application from ${from} to ${to}`);
+    this.status = 409;
+  }
+}
+
+class KybService {
+  async getApplication(userId) {
+    const { data, error } = await supabaseAdmin
+      .from('kyb_applications')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  async getOrCreateApplication(userId) {
+    const existing = await this.getApplication(userId);
+    if (existing) return existing;
+
+    const { data, error } = await supabaseAdmin
+      .from('kyb_applications')
+      .insert({
+        user_id: userId,
+        status: 'not_started',
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * Application with its beneficial owners, documents and review history
+   */
+  async getDetails(applicationId) {
+    const [owners, documents, events] = await Promise.all([
+      supabaseAdmin.from('kyb_beneficial_owners').select('*').eq('application_id', applicationId),
+      supabaseAdmin
+        .from('kyb_documents')
+        .select('id, document_type, filename, content_type, size, uploaded_at')
+        .eq('application_id', applicationId)
+        .order('uploaded_at', { ascending: true }),
+      supabaseAdmin
+        .from('kyb_review_events')
+        .select('*')
+        .eq('application_id', applicationId)
+        .order('created_at', { ascending: true })
+    ]);
+
+    for (const result of [owners, documents, events]) {
+      if (result.error) throw new Error(result.error.message);
+    }
+
+    return {
+      beneficial_owners: owners.data || [],
+      documents: documents.data || [],
+      review_history: events.data || []
+    };
+  }
+
+  /**
+   * Missing pieces that block submission, as human-readable messages
+   */
+  async missingRequirements(application) {
+    const missing = REQUIRED_COMPANY_FIELDS
+      .filter(field => !application[field])
+      .map(field => `Company detail "${field}" is required`);
+
+    const { beneficial_owners, documents } = await this.getDetails(application.id);
+
+    if (beneficial_owners.length === 0) {
+      missing.push('At least one beneficial owner is required');
+    }
+
+    const uploadedTypes = documents.map(doc => doc.document_type);
+    for (const group of REQUIRED_DOCUMENT_GROUPS) {
+      if (!group.some(type => uploadedTypes.includes(type))) {
+        missing.push(`A document of type ${group.join(' or ')} is required`);
+      }
+    }
+
+    return missing;
+  }
+
+  /**
+   * Move an application to a new status, recording who did it and why.
+   * The status is mirrored to profiles.kyb_status for cheap checks elsewhere.
+   */
+  async transition(application, to, { actorId, notes = null }) {
+    if (!TRANSITIONS[application.status]?.includes(to)) {
+      throw new KybTransitionError(application.status, to);
+    }
+
+    const now = new Date().toISOString();
+    const changes = { status: to, updated_at: now };
+
+    if (to === 'submitted') changes.submitted_at = now;
+    if (to === 'in_review') changes.reviewed_by = actorId;
+    if (to === 'approved' || to === 'rejected') {
+      changes.reviewed_by = actorId;
+      changes.reviewed_at = now;
+      changes.reviewer_notes = notes;
+    }
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('kyb_applications')
+      .update(changes)
+      .eq('id', application.id)
+      .eq('status', application.status)
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!updated) throw new KybTransitionError(application.status, to);
+
+    await supabaseAdmin.from('kyb_review_events').insert({
+      application_id: application.id,
+      from_status: application.status,
+      to_status: to,
+      actor_id: actorId,
+      notes,
+      created_at: now
+    });
+
+    const { error: profileError } = await supabaseAdmin
+      .from('profiles')
+      .update({ kyb_status: to })
+      .eq('id', application.user_id);
+
+    if (profileError) {
+      logger.warn(`Failed to mirror KYB status to profile ${application.user_id}: ${profileError.message}`);
+    }
+
+    logger.info(`KYB application ${application.id}: ${application.status} -> ${to} by ${actorId}`);
+
+    return updated;
+  }
+}
+
+export const kybService = new KybService();
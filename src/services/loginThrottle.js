@@ -0,0 +1,182 @@
+/**
+ * Login Throttle Service
+ * Tracks failed logins per account and per IP, applying exponential backoff and a
+ * temporary lockout. Kept in memory by default; set SECURITY_STORE=supabase to persist
+ * to login_attempts so limits survive restarts and apply across instances.
+ *
+ * Other credential-guessing or enumeration targets (password checks, reset requests)
+ * pass an `action` so they are counted apart from logins.
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+
+const LIMITS = {
+  account: {
+    freeAttempts: parseInt(process.env.LOGIN_ACCOUNT_FREE_ATTEMPTS || '3'),
+    lockoutAfter: parseInt(process.env.LOGIN_ACCOUNT_LOCKOUT_AFTER || '10')
+  },
+  ip: {
+    freeAttempts: parseInt(process.env.LOGIN_IP_FREE_ATTEMPTS || '10'),
+    lockoutAfter: parseInt(process.env.LOGIN_IP_LOCKOUT_AFTER || '50')
+  }
+};
+
+const BASE_DELAY_SECONDS = 1;
+const MAX_DELAY_SECONDS = 300;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15');
+
+// Failures older than this are forgotten
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+
+class MemoryAttemptStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(key) {
+    return this.records.get(key) || null;
+  }
+
+  async set(key, record) {
+    this.records.set(key, record);
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+}
+
+class SupabaseAttemptStore {
+  async get(key) {
+    const { data, error } = await supabaseAdmin
+      .from('login_attempts')
+      .select('failures, last_failure_at, locked_until')
+      .eq('key', key)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  async set(key, record) {
+    const { error } = await supabaseAdmin
+      .from('login_attempts')
+      .upsert({ key, ...record }, { onConflict: 'key' });
+
+    if (error) throw new Error(error.message);
+  }
+
+  async delete(key) {
+    const { error } = await supabaseAdmin.from('login_attempts').delete().eq('key', key);
+    if (error) throw new Error(error.message);
+  }
+}
+
+function keysFor({ email, ip, action }) {
+  const prefix = action ? `${action}:` : '';
+  return [
+    { scope: 'account', key: `${prefix}account:${email}` },
+    { scope: 'ip', key: `${prefix}ip:${ip}` }
+  ];
+}
+
+/**
+ * The record if it still counts: null once failures have aged out or a lockout has been served
+ */
+function activeRecord(record, now) {
+  if (!record) return null;
+
+  if (record.locked_until) {
+    return new Date(record.locked_until).getTime() > now ? record : null;
+  }
+
+  return now - new Date(record.last_failure_at).getTime() > FAILURE_WINDOW_MS ? null : record;
+}
+
+class LoginThrottleService {
+  constructor() {
+    this.store = process.env.SECURITY_STORE === 'supabase' && supabaseAdmin
+      ? new SupabaseAttemptStore()
+      : new MemoryAttemptStore();
+  }
+
+  /**
+   * Whether a login attempt may proceed. When blocked, says why and for how long.
+   */
+  async check({ email, ip, action }) {
+    const now = Date.now();
+
+    for (const { scope, key } of keysFor({ email, ip, action })) {
+      const record = activeRecord(await this.store.get(key), now);
+      if (!record) continue;
+
+      if (record.locked_until) {
+        return {
+          allowed: false,
+          reason: `${scope}_locked`,
+          retryAfterSeconds: Math.ceil((new Date(record.locked_until).getTime() - now) / 1000)
+        };
+      }
+
+      const { freeAttempts } = LIMITS[scope];
+      if (record.failures >= freeAttempts) {
+        const delay = Math.min(
+          BASE_DELAY_SECONDS * 2 ** (record.failures - freeAttempts),
+          MAX_DELAY_SECONDS
+        );
+        const nextAllowed = new Date(record.last_failure_at).getTime() + delay * 1000;
+
+        if (nextAllowed > now) {
+          return {
+            allowed: false,
+            reason: `${scope}_backoff`,
+            retryAfterSeconds: Math.ceil((nextAllowed - now) / 1000)
+          };
+        }
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Count a failed attempt. Returns the scopes that became locked as a result.
+   */
+  async recordFailure({ email, ip, action }) {
+    const now = Date.now();
+    const locked = [];
+
+    for (const { scope, key } of keysFor({ email, ip, action })) {
+      const existing = activeRecord(await this.store.get(key), now);
+      const failures = existing ? existing.failures + 1 : 1;
+      const record = {
+        failures,
+        last_failure_at: new Date(now).toISOString(),
+        locked_until: existing?.locked_until || null
+      };
+
+      if (failures >= LIMITS[scope].lockoutAfter && !record.locked_until) {
+        record.locked_until = new Date(now + LOCKOUT_MINUTES * 60 * 1000).toISOString();
+        locked.push(scope);
+      }
+
+      await this.store.set(key, record);
+    }
+
+    return locked;
+  }
+
+  /**
+   * A successful login clears the account counter; the IP counter is left to decay
+   */
+  async recordSuccess({ email, action }) {
+    await this.store.delete(keysFor({ email, action })[0].key);
+  }
+
+  async unlock({ email, ip }) {
+    if (email) await this.store.delete(`account:${email}`);
+    if (ip) await this.store.delete(`ip:${ip}`);
+  }
+}
+
+export const loginThrottleService = new LoginThrottleService();
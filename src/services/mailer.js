@@ -0,0 +1,82 @@
+/**
+ * Mailer Service
+ * Pluggable outbound email. Defaults to a console/file stand-in for local development;
+ * production must configure a real transport with MAIL_TRANSPORT.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('MailerService');
+
+// Logs that a message would be sent. Bodies carry reset, confirmation and invite
+// tokens, so they are not logged; use the file transport to read them locally.
+async function consoleTransport(message) {
+  logger.info(`[MAIL] To: ${message.to} | Subject: ${message.subject}`);
+  return { delivered: true, transport: 'console' };
+}
+
+// Writes each message to MAIL_OUTBOX_DIR as JSON so it can be inspected
+async function fileTransport(message) {
+  const outbox = process.env.MAIL_OUTBOX_DIR || 'logs/mail';
+  await fs.mkdir(outbox, { recursive: true });
+
+  const filename = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+  const filePath = path.join(outbox, filename);
+  await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+
+  logger.info(`[MAIL] Written to ${filePath}`);
+  return { delivered: true, transport: 'file', path: filePath };
+}
+
+class MailerService {
+  constructor() {
+    this.transports = {
+      console: consoleTransport,
+      file: fileTransport
+    };
+  }
+
+  /**
+   * Register a transport, e.g. an SMTP or provider API adapter.
+   * A transport is an async function receiving { from, to, subject, text, html }.
+   */
+  registerTransport(name, transport) {
+    this.transports[name] = transport;
+  }
+
+  get transportName() {
+    return process.env.MAIL_TRANSPORT || 'console';
+  }
+
+  async send({ to, subject, text, html = null }) {
+    const transport = this.transports[this.transportName];
+
+    if (!transport) {
+      throw new Error(`Unknown mail transport: ${this.transportName}`);
+    }
+
+    if (this.transportName === 'console' && process.env.NODE_ENV === 'production') {
+      throw new Error('The console mail transport cannot be used in production; set MAIL_TRANSPORT');
+    }
+
+    const message = {
+      from: process.env.MAIL_FROM || 'GoodFi <no-reply@goodfi.app>',
+      to,
+      subject,
+      text,
+      html,
+      sent_at: new Date().toISOString()
+    };
+
+    try {
+      return await transport(message);
+    } catch (error) {
+      logger.error(`Failed to send "${subject}" via ${this.transportName}: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+export const mailerService = new MailerService();
@@ -0,0 +1,158 @@
+/**
+ * Oracle Service
+ * Verification requests sent to the external oracle at ORACLE_SERVICE_URL, and the
+ * signed callbacks it sends back with its result.
+ *
+ * Callbacks are signed as described in utils/oracleSignature.js. Replays are refused
+ * twice over: the timestamp must be recent, and each request can be completed only once.
+ */
+
+import crypto from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+import { blockchainService } from './blockchain.js';
+import { signOraclePayload } from '../utils/oracleSignature.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('OracleService');
+
+const REQUEST_TTL_MS = parseInt(process.env.ORACLE_REQUEST_TTL_MINUTES || '60') * 60 * 1000;
+const CALLBACK_TOLERANCE_SECONDS = parseInt(process.env.ORACLE_CALLBACK_TOLERANCE_SECONDS || '300');
+
+export class OracleSignatureError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 401;
+  }
+}
+
+class OracleService {
+  get configured() {
+    return Boolean(process.env.ORACLE_SERVICE_URL);
+  }
+
+  get callbackUrl() {
+    const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 4000}`;
+    return process.env.ORACLE_CALLBACK_URL || `${apiUrl}/api/verification/oracle/callback`;
+  }
+
+  async latestRequest(assetId) {
+    const { data, error } = await supabaseAdmin
+      .from('oracle_requests')
+      .select('*')
+      .eq('asset_id', assetId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  isExpired(request) {
+    return new Date(request.expires_at).getTime() <= Date.now();
+  }
+
+  /**
+   * Pending requests past their expiry, oldest first
+   */
+  async expiredRequests(limit) {
+    const { data, error } = await supabaseAdmin
+      .from('oracle_requests')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('expires_at', new Date().toISOString())
+      .order('expires_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+
+  async expire(request) {
+    await supabaseAdmin
+      .from('oracle_requests')
+      .update({ status: 'expired' })
+      .eq('id', request.id)
+      .eq('status', 'pending');
+  }
+
+  /**
+   * Record a new request and send it to the oracle
+   */
+  async request(asset) {
+    const now = new Date();
+
+    const { data: request, error } = await supabaseAdmin
+      .from('oracle_requests')
+      .insert({
+        asset_id: asset.id,
+        status: 'pending',
+        expires_at: new Date(now.getTime() + REQUEST_TTL_MS).toISOString(),
+        created_at: now.toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    try {
+      await blockchainService.notifyOracleForVerification({
+        requestId: request.id,
+        assetId: asset.id,
+        blockchainAssetId: asset.blockchain_asset_id,
+        type: asset.type,
+        value: asset.value,
+        documentHash: asset.document_hash,
+        callbackUrl: this.callbackUrl
+      });
+    } catch (notifyError) {
+      await this.expire(request);
+      throw notifyError;
+    }
+
+    logger.info(`Oracle request ${request.id} sent for asset ${asset.id}`);
+    return request;
+  }
+
+  /**
+   * Throw OracleSignatureError unless the callback is signed with the shared secret
+   * and its timestamp is within tolerance
+   */
+  verifySignature({ rawBody, timestamp, signature }) {
+    if (!rawBody || !timestamp || !signature) {
+      throw new OracleSignatureError('Missing signature');
+    }
+
+    const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!Number.isFinite(age) || age > CALLBACK_TOLERANCE_SECONDS) {
+      throw new OracleSignatureError('Callback timestamp outside the allowed window');
+    }
+
+    const expected = Buffer.from(signOraclePayload(rawBody, timestamp));
+    const received = Buffer.from(String(signature));
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new OracleSignatureError('Invalid signature');
+    }
+  }
+
+  /**
+   * Store the oracle's result. Returns null if the request is unknown or was
+   * already completed or expired.
+   */
+  async complete(requestId, assetId, result) {
+    const { data, error } = await supabaseAdmin
+      .from('oracle_requests')
+      .update({ status: 'completed', result, completed_at: new Date().toISOString() })
+      .eq('id', requestId)
+      .eq('asset_id', assetId)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+}
+
+export const oracleService = new OracleService();
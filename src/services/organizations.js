@@ -0,0 +1,212 @@
+/**
+ * Organization Service
+ * SME and lender firms with several members. Members hold an org-level role:
+ *   owner    - manages members and settings, can act on everything
+ *   approver - can create and act on assets, loans and escrows
+ *   viewer   - read-only access to the organization's records
+ */
+
+import crypto from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+
+export const ORG_TYPES = ['sme', 'lender'];
+export const ORG_ROLES = ['owner', 'approver', 'viewer'];
+
+const ORG_ROLE_RANK = { viewer: 1, approver: 2, owner: 3 };
+const INVITATION_TTL_DAYS = parseInt(process.env.ORG_INVITATION_TTL_DAYS || '7');
+
+export const ORG_HEADER = 'x-organization-id';
+
+export function hasOrgRole(role, minRole) {
+  return (ORG_ROLE_RANK[role] || 0) >= ORG_ROLE_RANK[minRole];
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class OrganizationService {
+  /**
+   * The caller's memberships, loaded once per request and cached on req
+   */
+  async getMemberships(req) {
+    if (req.memberships) return req.memberships;
+
+    const { data, error } = await supabaseAdmin
+      .from('organization_members')
+      .select('org_id, role, organizations(id, name, type)')
+      .eq('user_id', req.user.id);
+
+    if (error) throw new Error(error.message);
+
+    req.memberships = data || [];
+    return req.memberships;
+  }
+
+  /**
+   * Ids of the caller's organizations where they hold at least minRole
+   */
+  async orgIds(req, minRole = 'viewer', type = null) {
+    const memberships = await this.getMemberships(req);
+    return memberships
+      .filter(m => hasOrgRole(m.role, minRole) && (!type || m.organizations?.type === type))
+      .map(m => m.org_id);
+  }
+
+  async isMember(req, orgId, minRole = 'viewer') {
+    if (!orgId) return false;
+    return (await this.orgIds(req, minRole)).includes(orgId);
+  }
+
+  /**
+   * Organization new records are created under: the API key's organization or the
+   * X-Organization-Id header if given, otherwise the caller's only organization of that
+   * type. Null for users acting alone.
+   * Throws (status 403) if the request names an org the caller cannot act for.
+   */
+  async resolveActiveOrg(req, type) {
+    const memberships = (await this.getMemberships(req))
+      .filter(m => m.organizations?.type === type);
+    const requested = req.apiKey?.org_id || req.headers[ORG_HEADER];
+
+    if (requested) {
+      const membership = memberships.find(m => m.org_id === requested);
+      if (!membership || !hasOrgRole(membership.role, 'approver')) {
+        const error = new Error('You cannot act on behalf of this organization');
+        error.status = 403;
+        throw error;
+      }
+      return membership.org_id;
+    }
+
+    if (memberships.length === 0) return null;
+
+    if (memberships.length > 1) {
+      const error = new Error(`Multiple organizations found; set the ${ORG_HEADER} header`);
+      error.status = 400;
+      throw error;
+    }
+
+    if (!hasOrgRole(memberships[0].role, 'approver')) {
+      const error = new Error('Viewers cannot act on behalf of their organization');
+      error.status = 403;
+      throw error;
+    }
+
+    return memberships[0].org_id;
+  }
+
+  /**
+   * PostgREST filter matching rows owned by the user or one of their organizations
+   */
+  async ownershipFilter(req, userColumn, orgColumn = 'org_id') {
+    const orgIds = await this.orgIds(req);
+    const clauses = [`${userColumn}.eq.${req.user.id}`];
+    if (orgIds.length > 0) clauses.push(`${orgColumn}.in.(${orgIds.join(',')})`);
+    return clauses.join(',');
+  }
+
+  /**
+   * PostgREST filter for the loans a lender may see: open requests plus loans they or
+   * their lending organizations took on. Null for admins, who see every loan.
+   */
+  async lenderLoanFilter(req) {
+    if (req.profile?.role === 'admin') return null;
+
+    const orgIds = await this.orgIds(req, 'viewer', 'lender');
+    const clauses = ['status.eq.requested', `lender_id.eq.${req.user.id}`];
+    if (orgIds.length > 0) clauses.push(`lender_org_id.in.(${orgIds.join(',')})`);
+    return clauses.join(',');
+  }
+
+  async create({ name, type, userId }) {
+    const { data: org, error } = await supabaseAdmin
+      .from('organizations')
+      .insert({ name, type, created_by: userId, created_at: new Date().toISOString() })
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    await this.addMember(org.id, userId, 'owner');
+    return org;
+  }
+
+  async addMember(orgId, userId, role) {
+    const { error } = await supabaseAdmin
+      .from('organization_members')
+      .upsert({
+        org_id: orgId,
+        user_id: userId,
+        role,
+        created_at: new Date().toISOString()
+      }, { onConflict: 'org_id,user_id' });
+
+    if (error) throw new Error(error.message);
+  }
+
+  async countOwners(orgId) {
+    const { count, error } = await supabaseAdmin
+      .from('organization_members')
+      .select('user_id', { count: 'exact', head: true })
+      .eq('org_id', orgId)
+      .eq('role', 'owner');
+
+    if (error) throw new Error(error.message);
+    return count || 0;
+  }
+
+  async createInvitation({ orgId, email, role, invitedBy }) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    const { data: invitation, error } = await supabaseAdmin
+      .from('organization_invitations')
+      .insert({
+        org_id: orgId,
+        email: email.trim().toLowerCase(),
+        role,
+        token_hash: hashToken(token),
+        invited_by: invitedBy,
+        status: 'pending',
+        expires_at: new Date(now.getTime() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+        created_at: now.toISOString()
+      })
+      .select('id, org_id, email, role, status, expires_at, created_at')
+      .single();
+
+    if (error) throw new Error(error.message);
+    return { invitation, token };
+  }
+
+  async findInvitation(token) {
+    if (!token) return null;
+
+    const { data, error } = await supabaseAdmin
+      .from('organization_invitations')
+      .select('*, organizations(id, name, type)')
+      .eq('token_hash', hashToken(token))
+      .eq('status', 'pending')
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  async acceptInvitation(invitation, userId) {
+    const { data, error } = await supabaseAdmin
+      .from('organization_invitations')
+      .update({ status: 'accepted', accepted_by: userId, accepted_at: new Date().toISOString() })
+      .eq('id', invitation.id)
+      .eq('status', 'pending')
+      .select('id');
+
+    if (error) throw new Error(error.message);
+    if (!data || data.length === 0) throw new Error('Invitation already used');
+
+    await this.addMember(invitation.org_id, userId, invitation.role);
+  }
+}
+
+export const organizationService = new OrganizationService();
@@ -0,0 +1,179 @@
+/**
+ * Re-verification Service
+ * A scheduled job that keeps verifications current:
+ *
+ *   - verified assets within REVERIFICATION_LEAD_DAYS of lapsing are queued for
+ *     verification again, so a passing asset never lapses
+ *   - verifications past their validity period move to verification_expired, and
+ *     lenders with open loans on the asset are warned
+ *   - lapsed assets keep being queued (at most once a day) until a run succeeds
+ *   - assets whose oracle request expired unanswered are queued again at once, and
+ *     assets stuck in verification_pending (e.g. a dead-lettered job) once a day
+ *
+ * Verified assets from before validity periods existed get an expiry counted from
+ * their verified_at.
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { verificationExpiresAt, reverificationDueBy } from '../config/verification.js';
+import { jobQueueService } from './jobQueue.js';
+import { verificationService, LOG_STATUSES } from './verification.js';
+import { collateralWarningService } from './collateralWarnings.js';
+import { oracleService } from './oracle.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('Reverification');
+
+export const REVERIFY_ASSETS_JOB = 'assets.reverify';
+
+const REVERIFY_INTERVAL_MS = parseInt(process.env.REVERIFICATION_INTERVAL_MS || String(60 * 60 * 1000));
+const REQUEUE_AFTER_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 200;
+
+// Assets that can no longer back a loan are not re-verified
+const INACTIVE_ASSET_STATUSES = ['withdrawn', 'expired'];
+
+class ReverificationService {
+  async run() {
+    const now = new Date();
+
+    await this.backfillExpiry();
+    const lapsed = await this.lapseExpired(now);
+    const resent = await this.retryExpiredOracleRequests();
+    const queued = await this.queueDue(now);
+
+    if (lapsed > 0 || resent > 0 || queued > 0) {
+      logger.info(`Re-verification: ${lapsed} lapsed, ${resent} oracle request(s) retried, ${queued} queued`);
+    }
+    return { lapsed, resent, queued };
+  }
+
+  async backfillExpiry() {
+    const { data: assets, error } = await supabaseAdmin
+      .from('assets')
+      .select('id, type, verified_at')
+      .eq('verification_status', 'verified')
+      .is('verification_expires_at', null)
+      .not('verified_at', 'is', null)
+      .limit(BATCH_SIZE);
+
+    if (error) throw new Error(error.message);
+
+    for (const asset of assets || []) {
+      await supabaseAdmin
+        .from('assets')
+        .update({ verification_expires_at: verificationExpiresAt(asset.type, asset.verified_at) })
+        .eq('id', asset.id)
+        .is('verification_expires_at', null);
+    }
+  }
+
+  /**
+   * Mark verifications past their validity period as expired. Returns the number lapsed.
+   */
+  async lapseExpired(now) {
+    const { data: assets, error } = await supabaseAdmin
+      .from('assets')
+      .select('*')
+      .eq('verification_status', 'verified')
+      .lte('verification_expires_at', now.toISOString())
+      .order('verification_expires_at', { ascending: true })
+      .limit(BATCH_SIZE);
+
+    if (error) throw new Error(error.message);
+
+    let lapsed = 0;
+    for (const asset of assets || []) {
+      const { data: updated, error: updateError } = await supabaseAdmin
+        .from('assets')
+        .update({
+          verification_status: 'verification_expired',
+          previous_verification_status: 'verified',
+          verification_changed_at: now.toISOString()
+        })
+        .eq('id', asset.id)
+        .eq('verification_status', 'verified')
+        .select()
+        .maybeSingle();
+
+      if (updateError) throw new Error(updateError.message);
+
+      // Re-verified since it was read
+      if (!updated) continue;
+      lapsed++;
+
+      await supabaseAdmin.from('verification_logs').insert({
+        asset_id: asset.id,
+        verification_method: asset.verification_method,
+        status: LOG_STATUSES.verification_expired,
+        verification_data: asset.verification_data,
+        rule_set_version: asset.verification_rule_set_version ?? null,
+        diff: { status: { from: 'verified', to: 'verification_expired' } },
+        error_message: `Verification lapsed on ${asset.verification_expires_at}`
+      });
+
+      await collateralWarningService.notifyLenders(updated, { from: 'verified', to: 'verification_expired' })
+        .catch(warnError => logger.error(`Failed to warn lenders about asset ${asset.id}:`, warnError));
+    }
+
+    return lapsed;
+  }
+
+  /**
+   * Expire oracle requests that were never answered and queue their assets, which
+   * sends a new request. Returns the number queued.
+   */
+  async retryExpiredOracleRequests() {
+    let queued = 0;
+
+    for (const request of await oracleService.expiredRequests(BATCH_SIZE)) {
+      await oracleService.expire(request);
+      await verificationService.enqueue(request.asset_id);
+      queued++;
+    }
+
+    return queued;
+  }
+
+  /**
+   * Queue verification for assets that lapse soon or already have, and for assets
+   * left in verification_pending. Returns the number queued.
+   */
+  async queueDue(now) {
+    const requeueBefore = new Date(now.getTime() - REQUEUE_AFTER_MS).toISOString();
+
+    const { data: assets, error } = await supabaseAdmin
+      .from('assets')
+      .select('id')
+      .in('verification_status', ['verified', 'verification_expired', 'verification_pending'])
+      .or(`verification_status.eq.verification_pending,verification_expires_at.lte.${reverificationDueBy(now)}`)
+      .not('status', 'in', `(${INACTIVE_ASSET_STATUSES.join(',')})`)
+      .is('archived_at', null)
+      .or(`reverify_queued_at.is.null,reverify_queued_at.lt.${requeueBefore}`)
+      .order('verification_expires_at', { ascending: true })
+      .limit(BATCH_SIZE);
+
+    if (error) throw new Error(error.message);
+
+    let queued = 0;
+    for (const asset of assets || []) {
+      const { error: updateError } = await supabaseAdmin
+        .from('assets')
+        .update({ reverify_queued_at: now.toISOString() })
+        .eq('id', asset.id);
+
+      if (updateError) throw new Error(updateError.message);
+
+      await verificationService.enqueue(asset.id);
+      queued++;
+    }
+
+    return queued;
+  }
+}
+
+export const reverificationService = new ReverificationService();
+
+jobQueueService.schedule(REVERIFY_ASSETS_JOB, () => reverificationService.run(), {
+  intervalMs: REVERIFY_INTERVAL_MS
+});
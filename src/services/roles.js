@@ -0,0 +1,126 @@
+/**
+ * Role Service
+ * Grants elevated roles through invitations or approved requests,
+ * recording every change in role_grants
+ */
+
+import crypto from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('RoleService');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.ROLE_INVITATION_TTL_DAYS || '7');
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class RoleService {
+  /**
+   * Set a user's role and write the audit record
+   */
+  async grantRole({ userId, role, grantedBy, source, sourceId = null, reason = null }) {
+    const { data: profile, error: fetchError } = await supabaseAdmin
+      .from('profiles')
+      .select('role')
+      .eq('id', userId)
+      .single();
+
+    if (fetchError) throw new Error(fetchError.message);
+
+    const { error: updateError } = await supabaseAdmin
+      .from('profiles')
+      .update({ role })
+      .eq('id', userId);
+
+    if (updateError) throw new Error(updateError.message);
+
+    const { error: auditError } = await supabaseAdmin
+      .from('role_grants')
+      .insert({
+        user_id: userId,
+        previous_role: profile.role,
+        role,
+        granted_by: grantedBy,
+        source,
+        source_id: sourceId,
+        reason,
+        created_at: new Date().toISOString()
+      });
+
+    if (auditError) throw new Error(auditError.message);
+
+    logger.info(`Role ${profile.role} -> ${role} for user ${userId} by ${grantedBy} (${source})`);
+  }
+
+  async createInvitation({ email, role, invitedBy }) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    const { data: invitation, error } = await supabaseAdmin
+      .from('role_invitations')
+      .insert({
+        email: email.trim().toLowerCase(),
+        role,
+        token_hash: hashToken(token),
+        invited_by: invitedBy,
+        status: 'pending',
+        expires_at: new Date(now.getTime() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+        created_at: now.toISOString()
+      })
+      .select('id, email, role, status, expires_at, created_at')
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    return { invitation, token };
+  }
+
+  /**
+   * Pending, unexpired invitation for a raw token, or null
+   */
+  async findInvitation(token) {
+    if (!token) return null;
+
+    const { data, error } = await supabaseAdmin
+      .from('role_invitations')
+      .select('*')
+      .eq('token_hash', hashToken(token))
+      .eq('status', 'pending')
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * Accept an invitation on behalf of a user whose email matches it
+   */
+  async acceptInvitation(invitation, userId) {
+    const { data, error } = await supabaseAdmin
+      .from('role_invitations')
+      .update({
+        status: 'accepted',
+        accepted_by: userId,
+        accepted_at: new Date().toISOString()
+      })
+      .eq('id', invitation.id)
+      .eq('status', 'pending')
+      .select('id');
+
+    if (error) throw new Error(error.message);
+    if (!data || data.length === 0) throw new Error('Invitation already used');
+
+    await this.grantRole({
+      userId,
+      role: invitation.role,
+      grantedBy: invitation.invited_by,
+      source: 'invitation',
+      sourceId: invitation.id
+    });
+  }
+}
+
+export const roleService = new RoleService();
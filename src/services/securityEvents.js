@@ -0,0 +1,95 @@
+/**
+ * Security Events Service
+ * Append-only log of authentication events (failed logins, lockouts, unlocks).
+ * Kept in memory by default; set SECURITY_STORE=supabase to persist to security_events.
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('SecurityEvents');
+
+const MEMORY_LIMIT = 5000;
+
+class MemoryEventStore {
+  constructor() {
+    this.events = [];
+  }
+
+  async insert(event) {
+    this.events.push(event);
+    if (this.events.length > MEMORY_LIMIT) this.events.shift();
+  }
+
+  async query({ type, email, ip, userId, since, limit }) {
+    return this.events
+      .filter(event =>
+        (!type || event.type === type) &&
+        (!email || event.email === email) &&
+        (!ip || event.ip_address === ip) &&
+        (!userId || event.user_id === userId) &&
+        (!since || event.created_at >= since)
+      )
+      .slice(-limit)
+      .reverse();
+  }
+}
+
+class SupabaseEventStore {
+  async insert(event) {
+    const { error } = await supabaseAdmin.from('security_events').insert(event);
+    if (error) throw new Error(error.message);
+  }
+
+  async query({ type, email, ip, userId, since, limit }) {
+    let query = supabaseAdmin
+      .from('security_events')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (type) query = query.eq('type', type);
+    if (email) query = query.eq('email', email);
+    if (ip) query = query.eq('ip_address', ip);
+    if (userId) query = query.eq('user_id', userId);
+    if (since) query = query.gte('created_at', since);
+
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+}
+
+class SecurityEventService {
+  constructor() {
+    this.store = process.env.SECURITY_STORE === 'supabase' && supabaseAdmin
+      ? new SupabaseEventStore()
+      : new MemoryEventStore();
+  }
+
+  /**
+   * Record an event. Never throws: a logging failure must not break the login flow.
+   */
+  async record(type, { email = null, ip = null, userId = null, details = {} } = {}) {
+    const event = {
+      type,
+      email,
+      ip_address: ip,
+      user_id: userId,
+      details,
+      created_at: new Date().toISOString()
+    };
+
+    try {
+      await this.store.insert(event);
+    } catch (error) {
+      logger.error(`Failed to record security event ${type}: ${error.message}`);
+    }
+  }
+
+  async query({ type, email, ip, userId, since, limit = 100 } = {}) {
+    return this.store.query({ type, email, ip, userId, since, limit: Math.min(limit, 500) });
+  }
+}
+
+export const securityEventService = new SecurityEventService();
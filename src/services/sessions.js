@@ -0,0 +1,151 @@
+/**
+ * Session Service
+ * Tracks Supabase auth sessions per device so users can list and revoke them
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { decodeJwtPayload } from '../utils/jwt.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('SessionService');
+
+// Raised when revocation cannot be checked; callers must refuse the session
+export class SessionCheckError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 503;
+  }
+}
+
+// Rough device label from the User-Agent header (e.g. "Chrome on macOS")
+function describeDevice(userAgent = '') {
+  const browsers = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Chrome/', 'Chrome'],
+    ['Firefox/', 'Firefox'],
+    ['Safari/', 'Safari']
+  ];
+  const systems = [
+    ['Windows', 'Windows'],
+    ['iPhone', 'iOS'],
+    ['iPad', 'iOS'],
+    ['Android', 'Android'],
+    ['Mac OS X', 'macOS'],
+    ['Linux', 'Linux']
+  ];
+
+  const browser = browsers.find(([marker]) => userAgent.includes(marker))?.[1];
+  const system = systems.find(([marker]) => userAgent.includes(marker))?.[1];
+
+  if (!browser && !system) return userAgent ? 'Unknown device' : 'API client';
+  return [browser || 'Browser', system].filter(Boolean).join(' on ');
+}
+
+class SessionService {
+  /**
+   * Session id embedded in a Supabase access token (the `session_id` claim)
+   */
+  getSessionId(accessToken) {
+    return decodeJwtPayload(accessToken)?.session_id || null;
+  }
+
+  /**
+   * Record a new session, or refresh last_seen_at on an existing one
+   */
+  async record({ userId, accessToken, req }) {
+    const sessionId = this.getSessionId(accessToken);
+    if (!supabaseAdmin || !sessionId) return null;
+
+    const userAgent = req.headers['user-agent'] || null;
+    const now = new Date().toISOString();
+
+    const { error } = await supabaseAdmin
+      .from('user_sessions')
+      .upsert({
+        id: sessionId,
+        user_id: userId,
+        user_agent: userAgent,
+        device: describeDevice(userAgent || ''),
+        ip_address: req.ip,
+        last_seen_at: now
+      }, { onConflict: 'id' });
+
+    if (error) {
+      logger.warn(`Failed to record session ${sessionId}: ${error.message}`);
+    }
+
+    return sessionId;
+  }
+
+  async list(userId) {
+    if (!supabaseAdmin) return [];
+
+    const { data, error } = await supabaseAdmin
+      .from('user_sessions')
+      .select('id, device, user_agent, ip_address, created_at, last_seen_at')
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .order('last_seen_at', { ascending: false });
+
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+
+  async isRevoked(sessionId) {
+    if (!supabaseAdmin || !sessionId) return false;
+
+    const { data, error } = await supabaseAdmin
+      .from('user_sessions')
+      .select('revoked_at')
+      .eq('id', sessionId)
+      .maybeSingle();
+
+    if (error) {
+      logger.error(`Failed to check session ${sessionId}: ${error.message}`);
+      throw new SessionCheckError('Unable to verify the session');
+    }
+
+    return Boolean(data?.revoked_at);
+  }
+
+  /**
+   * Revoke a single session owned by the user. Returns false if it was not found.
+   */
+  async revoke(userId, sessionId, reason = 'user_revoked') {
+    if (!supabaseAdmin) return false;
+
+    const { data, error } = await supabaseAdmin
+      .from('user_sessions')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('id', sessionId)
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (error) throw new Error(error.message);
+    return (data || []).length > 0;
+  }
+
+  /**
+   * Revoke every active session for the user, optionally keeping one
+   */
+  async revokeAll(userId, { exceptSessionId = null, reason = 'user_revoked_all' } = {}) {
+    if (!supabaseAdmin) return 0;
+
+    let query = supabaseAdmin
+      .from('user_sessions')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('user_id', userId)
+      .is('revoked_at', null);
+
+    if (exceptSessionId) query = query.neq('id', exceptSessionId);
+
+    const { data, error } = await query.select('id');
+
+    if (error) throw new Error(error.message);
+    return (data || []).length;
+  }
+}
+
+export const sessionService = new SessionService();
@@ -0,0 +1,88 @@
+/**
+ * Storage Service
+ * File storage behind a small backend interface. Ships with a local-disk backend.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('StorageService');
+
+class LocalDiskBackend {
+  constructor(rootDir) {
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  // Keys are relative paths; refuse anything that would escape the root
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+}
+
+class StorageService {
+  constructor() {
+    this.backends = {
+      local: () => new LocalDiskBackend(process.env.STORAGE_DIR || 'uploads')
+    };
+    this.backend = null;
+  }
+
+  /**
+   * Register a backend factory. A backend implements put(key, buffer, meta),
+   * get(key) -> Buffer|null and delete(key).
+   */
+  registerBackend(name, factory) {
+    this.backends[name] = factory;
+    this.backend = null;
+  }
+
+  getBackend() {
+    if (!this.backend) {
+      const name = process.env.STORAGE_BACKEND || 'local';
+      const factory = this.backends[name];
+      if (!factory) throw new Error(`Unknown storage backend: ${name}`);
+      this.backend = factory();
+      logger.info(`Using ${name} storage backend`);
+    }
+    return this.backend;
+  }
+
+  async put(key, buffer, meta = {}) {
+    await this.getBackend().put(key, buffer, meta);
+    return { key, size: buffer.length };
+  }
+
+  async get(key) {
+    return this.getBackend().get(key);
+  }
+
+  async delete(key) {
+    return this.getBackend().delete(key);
+  }
+}
+
+export const storageService = new StorageService();
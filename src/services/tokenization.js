@@ -0,0 +1,93 @@
+/**
+ * Tokenization Service
+ * Puts new assets on-chain and then starts their verification, as two jobs on the
+ * durable job queue so each step is retried on its own.
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { blockchainService } from './blockchain.js';
+import { assetLifecycleService } from './assetLifecycle.js';
+import { jobQueueService } from './jobQueue.js';
+import { verificationService } from './verification.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('TokenizationService');
+
+export const TOKENIZE_JOB = 'asset.tokenize';
+
+async function getAsset(assetId) {
+  const { data, error } = await supabaseAdmin
+    .from('assets')
+    .select('*')
+    .eq('id', assetId)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+async function tokenize({ asset_id: assetId, owner_email: ownerEmail }) {
+  const asset = await getAsset(assetId);
+
+  if (!asset || asset.status === 'withdrawn') {
+    logger.warn(`Skipping tokenization of asset ${assetId}: ${asset ? 'withdrawn' : 'not found'}`);
+    return;
+  }
+
+  // A previous attempt got as far as recording the chain ID
+  if (!asset.blockchain_asset_id) {
+    const blockchainResult = await blockchainService.createAsset({
+      type: asset.type,
+      ownerEmail,
+      counterpartyEmail: asset.counterparty_email,
+      value: asset.value,
+      documentHash: asset.document_hash
+    });
+
+    const { error } = await supabaseAdmin
+      .from('assets')
+      .update({
+        blockchain_asset_id: blockchainResult.assetId,
+        transaction_hash: blockchainResult.transactionHash,
+        block_number: blockchainResult.blockNumber
+      })
+      .eq('id', asset.id);
+
+    if (error) throw new Error(error.message);
+
+    asset.blockchain_asset_id = blockchainResult.assetId;
+    logger.info(`Asset ${asset.id} tokenized: blockchain ID ${blockchainResult.assetId}`);
+  }
+
+  await verificationService.start(asset);
+}
+
+// Out of retries: surface the failure on the asset so the owner can edit and resubmit
+async function markTokenizationFailed({ asset_id: assetId }, error) {
+  const asset = await getAsset(assetId);
+
+  if (asset && assetLifecycleService.canTransition(asset.status, 'error')) {
+    await assetLifecycleService.transition(asset, 'error', {
+      reason: 'Tokenization failed',
+      changes: { error_message: error.message }
+    });
+  }
+}
+
+jobQueueService.register(TOKENIZE_JOB, tokenize, { onDeadLetter: markTokenizationFailed });
+
+class TokenizationService {
+  /**
+   * Queue tokenization for newly created assets
+   */
+  async enqueue(assets, { ownerEmail }) {
+    const list = Array.isArray(assets) ? assets : [assets];
+
+    return jobQueueService.enqueueMany(
+      TOKENIZE_JOB,
+      list.map(asset => ({ asset_id: asset.id, owner_email: ownerEmail }))
+    );
+  }
+}
+
+export const tokenizationService = new TokenizationService();
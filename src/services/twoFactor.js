@@ -0,0 +1,130 @@
+/**
+ * Two-Factor Service
+ * TOTP enrollment, recovery codes and code verification. State lives on the profile:
+ *   totp_enabled, totp_secret, totp_pending_secret, totp_recovery_codes (SHA-256 hashes),
+ *   totp_last_used_step, totp_enrolled_at
+ */
+
+import crypto from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+import { generateSecret, matchStep, otpauthUrl } from '../utils/totp.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('TwoFactorService');
+
+const RECOVERY_CODE_COUNT = 10;
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(code.replace(/-/g, '').toLowerCase()).digest('hex');
+}
+
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+async function updateProfile(userId, changes) {
+  const { error } = await supabaseAdmin
+    .from('profiles')
+    .update(changes)
+    .eq('id', userId);
+
+  if (error) throw new Error(error.message);
+}
+
+class TwoFactorService {
+  /**
+   * Start enrollment: store a pending secret until the user proves they can generate codes
+   */
+  async beginEnrollment(profile, email) {
+    const secret = generateSecret();
+    await updateProfile(profile.id, { totp_pending_secret: secret });
+
+    return {
+      secret,
+      otpauth_url: otpauthUrl({ secret, account: email })
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the pending secret. Returns plain recovery codes
+   * (shown once), or null if the code is wrong.
+   */
+  async activate(profile, code) {
+    if (!profile.totp_pending_secret) return null;
+
+    const step = matchStep(profile.totp_pending_secret, code);
+    if (step === null) return null;
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    await updateProfile(profile.id, {
+      totp_enabled: true,
+      totp_secret: profile.totp_pending_secret,
+      totp_pending_secret: null,
+      totp_recovery_codes: recoveryCodes.map(hashRecoveryCode),
+      totp_last_used_step: step,
+      totp_enrolled_at: new Date().toISOString()
+    });
+
+    logger.info(`2FA enabled for user ${profile.id}`);
+    return recoveryCodes;
+  }
+
+  /**
+   * Check a TOTP or recovery code. Each TOTP step and each recovery code works only once.
+   */
+  async verify(profile, code) {
+    if (!profile.totp_enabled || !code) return false;
+
+    const normalized = String(code).trim();
+    const step = matchStep(profile.totp_secret, normalized);
+
+    if (step !== null) {
+      if (profile.totp_last_used_step !== null && step <= profile.totp_last_used_step) {
+        logger.warn(`Replayed 2FA code for user ${profile.id}`);
+        return false;
+      }
+
+      await updateProfile(profile.id, { totp_last_used_step: step });
+      profile.totp_last_used_step = step;
+      return true;
+    }
+
+    const hash = hashRecoveryCode(normalized);
+    const remaining = profile.totp_recovery_codes || [];
+
+    if (remaining.includes(hash)) {
+      const codes = remaining.filter(existing => existing !== hash);
+      await updateProfile(profile.id, { totp_recovery_codes: codes });
+      profile.totp_recovery_codes = codes;
+      logger.info(`Recovery code used by user ${profile.id} (${codes.length} left)`);
+      return true;
+    }
+
+    return false;
+  }
+
+  async regenerateRecoveryCodes(profile) {
+    const recoveryCodes = generateRecoveryCodes();
+    await updateProfile(profile.id, { totp_recovery_codes: recoveryCodes.map(hashRecoveryCode) });
+    return recoveryCodes;
+  }
+
+  async disable(profile) {
+    await updateProfile(profile.id, {
+      totp_enabled: false,
+      totp_secret: null,
+      totp_pending_secret: null,
+      totp_recovery_codes: null,
+      totp_last_used_step: null,
+      totp_enrolled_at: null
+    });
+
+    logger.info(`2FA disabled for user ${profile.id}`);
+  }
+}
+
+export const twoFactorService = new TwoFactorService();
@@ -0,0 +1,502 @@
+/**
+ * Verification Service
+ * Runs an asset through the verification providers configured for its type and
+ * combines their results into one verdict with a confidence value.
+ *
+ * A provider is { verify(asset, context) -> result, types? } where result is
+ *   { outcome: 'pass' | 'fail' | 'pending' | 'skip', confidence, checks, data, reason }
+ * `confidence` is how far the provider trusts the asset (0-1). `skip` means the
+ * provider had nothing to say about this asset; thrown errors count as `pending`, except
+ * from providers marked `retryOnError`, whose errors fail the job so the queue retries it.
+ * `context.ruleSet` is the active verification rule set (see verificationRules.js);
+ * its version is recorded with every result.
+ *
+ * Verdict: any fail -> verification_failed; otherwise any pending -> verification_pending;
+ * otherwise at least one pass -> verified.
+ *
+ * Verification runs as a background job. Providers that answer asynchronously (the
+ * oracle) return `pending`; when their answer arrives the job runs again and the
+ * asset moves from verification_pending to its final status.
+ *
+ * A verified result is valid for a period per asset type (config/verification.js)
+ * and is re-run before it lapses (see reverification.js). Each logged result carries
+ * a diff against the previous final result for the asset.
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { verificationExpiresAt } from '../config/verification.js';
+import { jobQueueService } from './jobQueue.js';
+import { collateralWarningService } from './collateralWarnings.js';
+import { oracleService } from './oracle.js';
+import { verificationRulesService } from './verificationRules.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('VerificationService');
+
+const ORACLE_TIMEOUT_MS = parseInt(process.env.ORACLE_TIMEOUT_MS || '10000');
+
+export const VERIFICATION_STATUSES = ['verified', 'verification_failed', 'verification_pending', 'verification_expired'];
+
+// verification_logs.status for each verification status
+export const LOG_STATUSES = {
+  verified: 'success',
+  verification_failed: 'failed',
+  verification_pending: 'pending',
+  verification_expired: 'expired'
+};
+
+const FINAL_LOG_STATUSES = ['success', 'failed', 'expired'];
+
+export const VERIFY_ASSET_JOB = 'asset.verify';
+
+// Checks the asset against the active rule set
+const mockOracle = {
+  async verify(asset, { ruleSet }) {
+    // Simulate processing time
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    const rules = ruleSet.rules[asset.type] || ruleSet.rules.deposit;
+    const checks = {
+      hasRequiredFields: rules.requiredFields.every(field => asset[field]),
+      valueInRange: asset.value >= rules.minValue && asset.value <= rules.maxValue,
+      hasValidDescription: Boolean(asset.description && asset.description.length >= (rules.minDescriptionLength ?? 10))
+    };
+    const passed = Object.values(checks).every(Boolean);
+
+    return {
+      outcome: passed ? 'pass' : 'fail',
+      confidence: passed ? 0.95 : 0.45,
+      checks,
+      data: { dataSource: `Mock ${asset.type} verification`, verifiedAmount: asset.value },
+      reason: passed ? null : 'Asset did not meet verification criteria'
+    };
+  }
+};
+
+// POSTs the asset to an external oracle, which answers { verified, confidence, checks, data, reason }
+const httpOracle = {
+  async verify(asset) {
+    const url = process.env.ORACLE_VERIFY_URL ||
+      (process.env.ORACLE_SERVICE_URL && `${process.env.ORACLE_SERVICE_URL}/verify`);
+
+    if (!url) {
+      return { outcome: 'skip', confidence: null, checks: {}, data: {}, reason: 'No oracle URL configured' };
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        assetId: asset.id,
+        blockchainAssetId: asset.blockchain_asset_id,
+        type: asset.type,
+        value: asset.value,
+        counterpartyEmail: asset.counterparty_email,
+        documentHash: asset.document_hash,
+        invoiceNumber: asset.invoice_number,
+        issueDate: asset.issue_date,
+        dueDate: asset.due_date
+      }),
+      signal: AbortSignal.timeout(ORACLE_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Oracle responded ${response.status}`);
+    }
+
+    const result = await response.json();
+
+    return {
+      outcome: result.verified ? 'pass' : 'fail',
+      confidence: Number(result.confidence ?? (result.verified ? 0.9 : 0.1)),
+      checks: result.checks || {},
+      data: result.data || {},
+      reason: result.reason || (result.verified ? null : 'Oracle could not verify the asset')
+    };
+  }
+};
+
+// The oracle at ORACLE_SERVICE_URL answers through a signed callback. The first run
+// sends a request; later runs read the stored answer or keep waiting.
+const asyncOracle = {
+  // A request the oracle never received would leave the asset pending for good
+  retryOnError: true,
+  async verify(asset) {
+    if (!oracleService.configured) {
+      return { outcome: 'skip', confidence: null, checks: {}, data: {}, reason: 'No oracle configured' };
+    }
+
+    const request = await oracleService.latestRequest(asset.id);
+
+    // An answer only counts for the asset as it was when the request was sent
+    const current = request && (!asset.updated_at || request.created_at >= asset.updated_at);
+
+    if (current && request.status === 'completed') {
+      const { verified, confidence, checks = {}, data = {}, reason } = request.result;
+      return {
+        outcome: verified ? 'pass' : 'fail',
+        confidence: Number(confidence ?? (verified ? 0.9 : 0.1)),
+        checks,
+        data: { ...data, oracleRequestId: request.id },
+        reason: reason || (verified ? null : 'Oracle could not verify the asset')
+      };
+    }
+
+    if (current && request.status === 'pending' && !oracleService.isExpired(request)) {
+      return { outcome: 'pending', confidence: null, checks: {}, data: { oracleRequestId: request.id }, reason: 'Awaiting oracle callback' };
+    }
+
+    if (request?.status === 'pending') await oracleService.expire(request);
+
+    const sent = await oracleService.request(asset);
+    return { outcome: 'pending', confidence: null, checks: {}, data: { oracleRequestId: sent.id }, reason: 'Awaiting oracle callback' };
+  }
+};
+
+// A reviewer's decision from the manual review queue
+const REVIEW_DECIDED = ['approved', 'rejected'];
+
+const manualReview = {
+  async verify(asset) {
+    const outcomes = {
+      approved: { outcome: 'pass', confidence: 0.98, reason: null },
+      rejected: { outcome: 'fail', confidence: 0.1, reason: `Rejected in review: ${asset.review_notes || ''}`.trim() }
+    };
+    const result = outcomes[asset.review_status] ||
+      { outcome: 'pending', confidence: null, reason: 'Awaiting manual review' };
+
+    return {
+      ...result,
+      checks: { reviewApproved: asset.review_status === 'approved' },
+      data: { reviewStatus: asset.review_status || 'awaiting_review', reviewedAt: asset.reviewed_at || null }
+    };
+  }
+};
+
+// The debtor's own answer is the strongest signal for an invoice: a dispute fails
+// verification outright, a confirmation raises confidence. No answer yet is neutral.
+const counterpartyConfirmation = {
+  types: ['invoice'],
+  async verify(asset) {
+    const status = asset.counterparty_status || 'not_requested';
+    const data = { counterpartyConfirmation: status };
+
+    if (status === 'confirmed') {
+      return { outcome: 'pass', confidence: 0.99, checks: { counterpartyConfirmed: true }, data, reason: null };
+    }
+    if (status === 'disputed') {
+      return { outcome: 'fail', confidence: 0.05, checks: { counterpartyNotDisputed: false }, data, reason: 'Counterparty disputed the invoice' };
+    }
+    return { outcome: 'skip', confidence: null, checks: { counterpartyNotDisputed: true }, data, reason: null };
+  }
+};
+
+// A possible duplicate passes only once a lender has dismissed the flag
+const duplicateCheck = {
+  async verify(asset) {
+    const status = asset.duplicate_status || 'none';
+    const notDuplicate = !['flagged', 'confirmed'].includes(status);
+    const data = {
+      duplicateCheck: {
+        status,
+        score: asset.duplicate_score ?? null,
+        matches: asset.duplicate_matches || []
+      }
+    };
+
+    return {
+      outcome: notDuplicate ? 'skip' : 'fail',
+      confidence: notDuplicate ? null : 0.1,
+      checks: { notDuplicate },
+      data,
+      reason: notDuplicate
+        ? null
+        : status === 'confirmed' ? 'Asset is a confirmed duplicate' : 'Possible duplicate awaiting lender review'
+    };
+  }
+};
+
+// Providers run for each asset type unless overridden with VERIFICATION_PROVIDERS_<TYPE>
+const DEFAULT_PROVIDERS = {
+  deposit: ['mock_oracle', 'oracle'],
+  purchase_order: ['mock_oracle', 'oracle', 'duplicate_check'],
+  invoice: ['mock_oracle', 'oracle', 'counterparty', 'duplicate_check']
+};
+
+/**
+ * Fields that differ between two results (status, confidence, rule set version,
+ * provider outcomes and checks) as { field: { from, to } }, or null if none changed
+ */
+function resultDiff(previous, current) {
+  const diff = {};
+  const changed = (field, from, to) => {
+    if ((from ?? null) !== (to ?? null)) diff[field] = { from: from ?? null, to: to ?? null };
+  };
+
+  changed('status', previous.status, current.status);
+  changed('confidence', previous.data?.confidence, current.data?.confidence);
+  changed('rule_set_version', previous.data?.ruleSetVersion, current.data?.ruleSetVersion);
+
+  const outcomes = data => Object.fromEntries((data?.providers || []).map(({ provider, outcome }) => [provider, outcome]));
+  const before = outcomes(previous.data);
+  const after = outcomes(current.data);
+  for (const provider of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    changed(`providers.${provider}`, before[provider], after[provider]);
+  }
+
+  const { timestamp: _before, ...checksBefore } = previous.data?.checks || {};
+  const { timestamp: _after, ...checksAfter } = current.data?.checks || {};
+  for (const check of new Set([...Object.keys(checksBefore), ...Object.keys(checksAfter)])) {
+    changed(`checks.${check}`, checksBefore[check], checksAfter[check]);
+  }
+
+  return Object.keys(diff).length > 0 ? diff : null;
+}
+
+/**
+ * Combine provider results. Independent passes reinforce each other
+ * (1 - product of their doubts); a failure is as confident as its weakest provider.
+ */
+function combine(results) {
+  const ran = results.filter(result => result.outcome !== 'skip');
+  const failed = ran.filter(result => result.outcome === 'fail');
+  const pending = ran.filter(result => result.outcome === 'pending');
+  const passed = ran.filter(result => result.outcome === 'pass');
+
+  if (failed.length > 0) {
+    return {
+      status: 'verification_failed',
+      confidence: Math.min(...failed.map(result => result.confidence ?? 0)),
+      error: failed.map(result => result.reason).filter(Boolean).join('; ') || 'Verification failed'
+    };
+  }
+
+  if (pending.length > 0 || passed.length === 0) {
+    return {
+      status: 'verification_pending',
+      confidence: null,
+      error: pending.map(result => result.reason).filter(Boolean).join('; ') || 'No provider could verify this asset'
+    };
+  }
+
+  const doubt = passed.reduce((product, result) => product * (1 - (result.confidence ?? 0)), 1);
+  return { status: 'verified', confidence: Number((1 - doubt).toFixed(4)), error: null };
+}
+
+class VerificationService {
+  constructor() {
+    this.providers = {
+      mock_oracle: mockOracle,
+      http_oracle: httpOracle,
+      oracle: asyncOracle,
+      manual_review: manualReview,
+      counterparty: counterpartyConfirmation,
+      duplicate_check: duplicateCheck
+    };
+  }
+
+  /**
+   * Register a provider, e.g. a credit bureau or bank data adapter
+   */
+  registerProvider(name, provider) {
+    this.providers[name] = provider;
+  }
+
+  providersFor(type) {
+    const configured = process.env[`VERIFICATION_PROVIDERS_${type.toUpperCase()}`];
+    const names = configured
+      ? configured.split(',').map(name => name.trim()).filter(Boolean)
+      : DEFAULT_PROVIDERS[type] || DEFAULT_PROVIDERS.deposit;
+
+    return names.filter(name => {
+      const provider = this.providers[name];
+      if (!provider) logger.warn(`Unknown verification provider "${name}" configured for ${type}`);
+      return provider && (!provider.types || provider.types.includes(type));
+    });
+  }
+
+  async runProvider(name, asset, context) {
+    try {
+      const result = await this.providers[name].verify(asset, context);
+      return { provider: name, checks: {}, data: {}, ...result };
+    } catch (error) {
+      if (this.providers[name].retryOnError) throw error;
+
+      logger.error(`Verification provider ${name} failed for asset ${asset.id}:`, error);
+      return {
+        provider: name,
+        outcome: 'pending',
+        confidence: null,
+        checks: {},
+        data: {},
+        reason: `${name} unavailable: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Verify an asset. Returns { status, method, confidence, ruleSetVersion, data, error }
+   * where method lists the providers that produced a result, e.g. "mock_oracle+counterparty".
+   */
+  async verify(asset) {
+    const ruleSet = await verificationRulesService.active();
+    const names = this.providersFor(asset.type);
+
+    // A reviewer's decision counts whatever providers are configured, so automated
+    // runs and re-verification cannot silently override it
+    if (REVIEW_DECIDED.includes(asset.review_status) && !names.includes('manual_review')) {
+      names.push('manual_review');
+    }
+    const results = await Promise.all(names.map(name => this.runProvider(name, asset, { ruleSet })));
+    const verdict = combine(results);
+
+    const method = results
+      .filter(result => result.outcome !== 'skip')
+      .map(result => result.provider)
+      .join('+') || 'none';
+
+    const checks = Object.assign({}, ...results.map(result => result.checks));
+    const details = Object.assign({}, ...results.map(result => result.data));
+
+    return {
+      status: verdict.status,
+      method,
+      confidence: verdict.confidence,
+      ruleSetVersion: ruleSet.version,
+      error: verdict.error,
+      data: {
+        ...details,
+        checks: { ...checks, timestamp: new Date().toISOString() },
+        verifiedAmount: asset.value,
+        confidence: verdict.confidence,
+        riskScore: verdict.status === 'verified' ? 'low' : verdict.status === 'verification_failed' ? 'high' : 'unknown',
+        verificationMethod: method,
+        ruleSetVersion: ruleSet.version,
+        providers: results.map(({ provider, outcome, confidence, reason }) => ({ provider, outcome, confidence, reason })),
+        verifiedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Mark the asset as awaiting verification and queue the verification job
+   */
+  async start(asset) {
+    const { error } = await supabaseAdmin
+      .from('assets')
+      .update({ verification_status: 'verification_pending', reverify_queued_at: new Date().toISOString() })
+      .eq('id', asset.id);
+
+    if (error) throw new Error(error.message);
+
+    return this.enqueue(asset.id);
+  }
+
+  enqueue(assetId) {
+    return jobQueueService.enqueue(VERIFY_ASSET_JOB, { asset_id: assetId });
+  }
+
+  /**
+   * The last final (non-pending) result logged for the asset, as { status, data, created_at }
+   */
+  async previousResult(assetId) {
+    const { data, error } = await supabaseAdmin
+      .from('verification_logs')
+      .select('status, verification_data, created_at')
+      .eq('asset_id', assetId)
+      .in('status', FINAL_LOG_STATUSES)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!data) return null;
+
+    const status = Object.keys(LOG_STATUSES).find(key => LOG_STATUSES[key] === data.status);
+    return { status, data: data.verification_data, created_at: data.created_at };
+  }
+
+  /**
+   * Store a verification result on the asset and in verification_logs, with the
+   * diff against the previous result. Lenders are warned when the result changes.
+   */
+  async record(asset, result) {
+    const now = new Date();
+    const previous = await this.previousResult(asset.id);
+    const final = result.status !== 'verification_pending';
+    const diff = final && previous ? resultDiff(previous, result) : null;
+    const changedFrom = final && previous && previous.status !== result.status ? previous.status : null;
+
+    // A re-verification waiting on the oracle leaves a still-valid verification in place
+    const keepCurrent = !final && asset.verification_status === 'verified' &&
+      asset.verification_expires_at && new Date(asset.verification_expires_at) > now;
+
+    let updated = asset;
+    if (!keepCurrent) {
+      const { data, error } = await supabaseAdmin
+        .from('assets')
+        .update({
+          verification_status: result.status,
+          verification_method: result.method,
+          verification_data: result.data,
+          verification_rule_set_version: result.ruleSetVersion,
+          verified_at: result.status === 'verified' ? now.toISOString() : null,
+          verified_by: result.status === 'verified' ? `Providers: ${result.method}` : null,
+          verification_expires_at: result.status === 'verified' ? verificationExpiresAt(asset.type, now) : null,
+          // A pending result stays queued until the oracle answers or the scheduler retries
+          ...(final && { reverify_queued_at: null }),
+          ...(changedFrom && {
+            previous_verification_status: changedFrom,
+            verification_changed_at: now.toISOString()
+          })
+        })
+        .eq('id', asset.id)
+        .select()
+        .single();
+
+      if (error) throw new Error(error.message);
+      updated = data;
+    }
+
+    const { error: logError } = await supabaseAdmin.from('verification_logs').insert({
+      asset_id: asset.id,
+      verification_method: result.method,
+      status: LOG_STATUSES[result.status],
+      verification_data: result.data,
+      rule_set_version: result.ruleSetVersion,
+      diff,
+      error_message: result.error
+    });
+
+    if (logError) logger.error(`Failed to log verification of asset ${asset.id}: ${logError.message}`);
+
+    if (changedFrom) {
+      await collateralWarningService.notifyLenders(updated, { from: changedFrom, to: result.status })
+        .catch(error => logger.error(`Failed to warn lenders about asset ${asset.id}:`, error));
+    }
+
+    return updated;
+  }
+}
+
+export const verificationService = new VerificationService();
+
+jobQueueService.register(VERIFY_ASSET_JOB, async ({ asset_id: assetId }) => {
+  const { data: asset, error } = await supabaseAdmin
+    .from('assets')
+    .select('*')
+    .eq('id', assetId)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+
+  if (!asset || asset.status === 'withdrawn') {
+    logger.warn(`Skipping verification of asset ${assetId}: ${asset ? 'withdrawn' : 'not found'}`);
+    return;
+  }
+
+  const result = await verificationService.verify(asset);
+  await verificationService.record(asset, result);
+
+  logger.info(`Asset ${assetId} verification: ${result.status} (${result.method})`);
+});
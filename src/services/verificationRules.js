@@ -0,0 +1,242 @@
+/**
+ * Verification Rules Service
+ * Versioned rule sets for the rule-based verification provider, stored in
+ * verification_rule_sets. A rule set maps each asset type to
+ *   { minValue, maxValue, requiredFields, minDescriptionLength }
+ *
+ * Admins edit a single draft and publish it as the next version. Published versions
+ * are never changed, so every verification result can name the version it used.
+ * The highest published version is active; until one exists the built-in rules
+ * (version 0) apply.
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { ASSET_TYPES } from './assetSearch.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('VerificationRules');
+
+export const BUILT_IN_RULE_SET = {
+  version: 0,
+  status: 'published',
+  notes: 'Built-in rules',
+  rules: {
+    deposit: {
+      minValue: 1000,
+      maxValue: 1000000,
+      requiredFields: ['description', 'value'],
+      minDescriptionLength: 10
+    },
+    purchase_order: {
+      minValue: 5000,
+      maxValue: 5000000,
+      requiredFields: ['description', 'value'],
+      minDescriptionLength: 10
+    },
+    invoice: {
+      minValue: 1000,
+      maxValue: 2000000,
+      requiredFields: ['description', 'value'],
+      minDescriptionLength: 10
+    }
+  }
+};
+
+const FIELD_PATTERN = /^[a-z_]+$/;
+
+export class RuleSetError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Validation errors for a rule set; every asset type needs its own rules
+ */
+export function ruleSetErrors(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return ['rules must be an object keyed by asset type'];
+  }
+
+  const errors = [];
+
+  for (const type of Object.keys(rules)) {
+    if (!ASSET_TYPES.includes(type)) errors.push(`Unknown asset type: ${type}`);
+  }
+
+  for (const type of ASSET_TYPES) {
+    const rule = rules[type];
+
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`Rules for ${type} are required`);
+      continue;
+    }
+
+    const { minValue, maxValue, requiredFields, minDescriptionLength } = rule;
+
+    if (!Number.isFinite(minValue) || minValue < 0) {
+      errors.push(`${type}.minValue must be a non-negative number`);
+    }
+    if (!Number.isFinite(maxValue) || maxValue <= 0) {
+      errors.push(`${type}.maxValue must be a positive number`);
+    }
+    if (Number.isFinite(minValue) && Number.isFinite(maxValue) && minValue > maxValue) {
+      errors.push(`${type}.minValue cannot exceed maxValue`);
+    }
+    if (!Array.isArray(requiredFields) || !requiredFields.every(field => FIELD_PATTERN.test(field))) {
+      errors.push(`${type}.requiredFields must be a list of asset field names`);
+    }
+    if (minDescriptionLength !== undefined &&
+        (!Number.isInteger(minDescriptionLength) || minDescriptionLength < 0)) {
+      errors.push(`${type}.minDescriptionLength must be a non-negative integer`);
+    }
+  }
+
+  return errors;
+}
+
+class VerificationRulesService {
+  /**
+   * The rule set new verifications run against
+   */
+  async active() {
+    const { data, error } = await supabaseAdmin
+      .from('verification_rule_sets')
+      .select('*')
+      .eq('status', 'published')
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data || BUILT_IN_RULE_SET;
+  }
+
+  async list() {
+    const { data, error } = await supabaseAdmin
+      .from('verification_rule_sets')
+      .select('id, version, status, notes, created_by, published_by, published_at, created_at, updated_at')
+      .order('version', { ascending: false });
+
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+
+  async get(version) {
+    if (version === 0) return BUILT_IN_RULE_SET;
+
+    const { data, error } = await supabaseAdmin
+      .from('verification_rule_sets')
+      .select('*')
+      .eq('version', version)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  async draft() {
+    const { data, error } = await supabaseAdmin
+      .from('verification_rule_sets')
+      .select('*')
+      .eq('status', 'draft')
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * Create or replace the draft. A new draft takes the next version number.
+   */
+  async saveDraft({ rules, notes, actorId }) {
+    const errors = ruleSetErrors(rules);
+    if (errors.length > 0) {
+      throw new RuleSetError(errors.join('; '), 400);
+    }
+
+    const now = new Date().toISOString();
+    const existing = await this.draft();
+
+    if (existing) {
+      const { data, error } = await supabaseAdmin
+        .from('verification_rule_sets')
+        .update({ rules, notes: notes ?? existing.notes, updated_by: actorId, updated_at: now })
+        .eq('id', existing.id)
+        .eq('status', 'draft')
+        .select()
+        .maybeSingle();
+
+      if (error) throw new Error(error.message);
+      if (!data) throw new RuleSetError('The draft was published or discarded while being edited');
+      return data;
+    }
+
+    const { data: latest, error: latestError } = await supabaseAdmin
+      .from('verification_rule_sets')
+      .select('version')
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (latestError) throw new Error(latestError.message);
+
+    // A unique index on version rejects a concurrent draft with the same number
+    const { data, error } = await supabaseAdmin
+      .from('verification_rule_sets')
+      .insert({
+        version: (latest?.version || 0) + 1,
+        status: 'draft',
+        rules,
+        notes: notes ?? null,
+        created_by: actorId,
+        updated_by: actorId,
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    logger.info(`Rule set draft v${data.version} created by ${actorId}`);
+    return data;
+  }
+
+  async discardDraft() {
+    const { data, error } = await supabaseAdmin
+      .from('verification_rule_sets')
+      .delete()
+      .eq('status', 'draft')
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * Publish the draft, making it the active rule set
+   */
+  async publish({ actorId }) {
+    const { data, error } = await supabaseAdmin
+      .from('verification_rule_sets')
+      .update({
+        status: 'published',
+        published_by: actorId,
+        published_at: new Date().toISOString()
+      })
+      .eq('status', 'draft')
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!data) throw new RuleSetError('There is no draft to publish', 404);
+
+    logger.info(`Rule set v${data.version} published by ${actorId}`);
+    return data;
+  }
+}
+
+export const verificationRulesService = new VerificationRulesService();
@@ -0,0 +1,90 @@
+/**
+ * Local Stub Oracle
+ * Stands in for the oracle service during development. Point the API at it with
+ * ORACLE_SERVICE_URL=http://localhost:3000 and set the same ORACLE_CALLBACK_SECRET
+ * for both processes.
+ *
+ *   POST /verification-requests  accepted immediately; a signed result is sent to
+ *                                callbackUrl after ORACLE_STUB_DELAY_MS
+ *   POST /verify                 answered synchronously (for the http_oracle provider)
+ *
+ * Assets pass when they have a value and a document hash. Set ORACLE_STUB_VERDICT
+ * to `pass` or `fail` to force a result.
+ */
+
+import express from 'express';
+import dotenv from 'dotenv';
+import { signOraclePayload, ORACLE_SIGNATURE_HEADER, ORACLE_TIMESTAMP_HEADER } from './utils/oracleSignature.js';
+
+dotenv.config();
+
+const app = express();
+const PORT = process.env.ORACLE_STUB_PORT || 3000;
+const DELAY_MS = parseInt(process.env.ORACLE_STUB_DELAY_MS || '2000');
+
+app.use(express.json());
+
+function evaluate({ value, documentHash }) {
+  const checks = {
+    hasPositiveValue: Number(value) > 0,
+    hasDocumentHash: Boolean(documentHash)
+  };
+  const forced = process.env.ORACLE_STUB_VERDICT;
+  const verified = forced ? forced === 'pass' : Object.values(checks).every(Boolean);
+
+  return {
+    verified,
+    confidence: verified ? 0.9 : 0.2,
+    checks,
+    data: { dataSource: 'Stub oracle' },
+    reason: verified ? null : 'Stub oracle rejected the asset'
+  };
+}
+
+async function sendCallback({ requestId, assetId, callbackUrl, ...asset }) {
+  const body = JSON.stringify({ request_id: requestId, asset_id: assetId, ...evaluate(asset) });
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  const response = await fetch(callbackUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      [ORACLE_TIMESTAMP_HEADER]: timestamp,
+      [ORACLE_SIGNATURE_HEADER]: signOraclePayload(body, timestamp)
+    },
+    body
+  });
+
+  console.log(`📨 Callback for request ${requestId}: ${response.status}`);
+}
+
+// POST /verification-requests - Queue a verification and answer via the callback
+app.post('/verification-requests', (req, res) => {
+  const { requestId, assetId, callbackUrl } = req.body;
+
+  if (!requestId || !assetId || !callbackUrl) {
+    return res.status(400).json({ error: 'requestId, assetId and callbackUrl are required' });
+  }
+
+  console.log(`🔍 Verification requested for asset ${assetId} (request ${requestId})`);
+
+  setTimeout(() => {
+    sendCallback(req.body).catch(error => console.error(`❌ Callback for request ${requestId} failed:`, error.message));
+  }, DELAY_MS);
+
+  res.status(202).json({ accepted: true, requestId });
+});
+
+// POST /verify - Synchronous verification
+app.post('/verify', (req, res) => {
+  res.json(evaluate(req.body));
+});
+
+if (!process.env.ORACLE_CALLBACK_SECRET) {
+  console.error('ORACLE_CALLBACK_SECRET must be set to sign callbacks');
+  process.exit(1);
+}
+
+app.listen(PORT, () => {
+  console.log('🔮 Stub oracle running on port', PORT);
+});
@@ -0,0 +1,40 @@
+/**
+ * Receivable Aging
+ * Buckets an asset by how far past its due date it is, counted in whole UTC days.
+ */
+
+export const AGING_BUCKETS = ['current', '1-30', '31-60', '61-90', '90+'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function bucketFor(daysPastDue) {
+  if (daysPastDue <= 0) return 'current';
+  if (daysPastDue <= 30) return '1-30';
+  if (daysPastDue <= 60) return '31-60';
+  if (daysPastDue <= 90) return '61-90';
+  return '90+';
+}
+
+/**
+ * Aging for an asset with a due date, or null for assets without one
+ */
+export function agingFor(asset, now = new Date()) {
+  if (!asset.due_date) return null;
+
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const due = Date.parse(String(asset.due_date).slice(0, 10));
+  const daysPastDue = Math.round((today - due) / DAY_MS);
+
+  return {
+    due_date: String(asset.due_date).slice(0, 10),
+    days_until_due: Math.max(-daysPastDue, 0),
+    days_past_due: Math.max(daysPastDue, 0),
+    bucket: bucketFor(daysPastDue)
+  };
+}
+
+export function isPastDue(asset, now = new Date()) {
+  return (agingFor(asset, now)?.days_past_due || 0) > 0;
+}
+
+export const withAging = asset => ({ ...asset, aging: agingFor(asset) });
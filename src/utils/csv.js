@@ -0,0 +1,76 @@
+/**
+ * CSV Helpers
+ */
+
+/**
+ * Parse RFC 4180 CSV text into rows of string fields. Handles quoted fields,
+ * escaped quotes ("") and CRLF or LF line endings. Blank lines are skipped.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Ignore a UTF-8 byte order mark written by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+}
+
+/**
+ * Parse CSV with a header row into objects keyed by (trimmed, lower-cased) column name.
+ * Each record carries its 1-based position among the data rows as `row` for error reports.
+ */
+export function parseCsvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return { columns: [], records: [] };
+
+  const columns = header.map(name => name.trim().toLowerCase());
+
+  const records = rows.map((fields, index) => ({
+    row: index + 1,
+    values: Object.fromEntries(columns.map((column, i) => [column, (fields[i] ?? '').trim()])),
+    extraFields: Math.max(fields.length - columns.length, 0)
+  }));
+
+  return { columns, records };
+}
@@ -0,0 +1,20 @@
+/**
+ * Opaque Pagination Cursors
+ * A cursor is the sort key of the last row on a page, base64url-encoded JSON.
+ */
+
+export function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a cursor, or return null if it is malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return position && typeof position === 'object' ? position : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,16 @@
+/**
+ * JWT Utility
+ */
+
+/**
+ * Decode the payload of a JWT without verifying it.
+ * Only use on tokens Supabase has already validated (e.g. via auth.getUser).
+ */
+export function decodeJwtPayload(token) {
+  try {
+    const [, payload] = token.split('.');
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,14 @@
+/**
+ * Oracle Callback Signatures
+ * X-Oracle-Signature: sha256=HMAC_SHA256(ORACLE_CALLBACK_SECRET, "<timestamp>.<raw body>"),
+ * with the unix timestamp in X-Oracle-Timestamp. Shared by the API and the stub oracle.
+ */
+
+import crypto from 'crypto';
+
+export const ORACLE_SIGNATURE_HEADER = 'x-oracle-signature';
+export const ORACLE_TIMESTAMP_HEADER = 'x-oracle-timestamp';
+
+export function signOraclePayload(body, timestamp, secret = process.env.ORACLE_CALLBACK_SECRET) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
@@ -0,0 +1,12 @@
+/**
+ * Privacy Helpers
+ */
+
+/**
+ * Mask an email for logs: "chad@goodfi.nz" -> "c***@goodfi.nz"
+ */
+export function maskEmail(email) {
+  if (!email || typeof email !== 'string' || !email.includes('@')) return '[invalid email]';
+  const [local, domain] = email.split('@');
+  return `${local.slice(0, 1)}***@${domain}`;
+}
@@ -0,0 +1,23 @@
+/**
+ * User Response Formatting
+ */
+
+/**
+ * Public shape of a user, shared by /api/auth/me and /api/users/profile
+ */
+export function formatUser(authUser, profile) {
+  return {
+    id: authUser.id,
+    email: authUser.email,
+    name: profile?.name,
+    role: profile?.role,
+    phone: profile?.phone,
+    company_name: profile?.company_name || null,
+    business_address: profile?.business_address || null,
+    registration_number: profile?.registration_number || null,
+    avatar_url: profile?.avatar_url || null,
+    kyb_status: profile?.kyb_status || 'not_started',
+    email_notifications: profile?.email_notifications,
+    sms_notifications: profile?.sms_notifications
+  };
+}